@@ -1,540 +1,1186 @@
 #!/usr/bin/env node
 
-const { execSync } = require('child_process');
-const fetch = require('node-fetch');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
-const semver = require('semver');
 const chalk = require('chalk');
+const semver = require('semver');
 
 const IDEManager = require('./src/managers/ide-manager');
 const CLIManager = require('./src/managers/cli-manager');
+const ExtensionManager = require('./src/managers/extension-manager');
+const ToolRegistry = require('./src/managers/tool-registry');
+const ChangelogManager = require('./src/managers/changelog-manager');
 const Logger = require('./src/utils/logger');
 const NotificationManager = require('./src/utils/notifications');
+const UpdateSummary = require('./src/utils/update-summary');
+const ErrorHandler = require('./src/utils/error-handler');
+const ArgParser = require('./src/utils/args');
+const VersionPolicy = require('./src/utils/version-policy');
+const RollbackStore = require('./src/utils/rollback-store');
+const HistoryStore = require('./src/utils/history-store');
+const NodeInstallations = require('./src/utils/node-installations');
+const ConfigManager = require('./src/utils/config');
+const { ConfigError } = require('./src/utils/config');
+const Paths = require('./src/utils/paths');
+const Concurrency = require('./src/utils/concurrency');
+const LookupCache = require('./src/utils/lookup-cache');
+const HttpClient = require('./src/utils/http-client');
+const NpmConfig = require('./src/utils/npm-config');
+const ProgressDisplay = require('./src/utils/progress');
+const JsonReport = require('./src/utils/json-report');
+const { version: packageVersion } = require('./package.json');
+
+// Entries "acu history" shows when no --since is given
+const HISTORY_LIMIT = 50;
 
 class AICodeUpdater {
-  constructor() {
-    this.isDryRun = process.argv.includes('--dry-run');
+  constructor(options = {}) {
+    this.command = options.command || null;
+    this.isDryRun = Boolean(options.dryRun);
+    this.isSilent = Boolean(options.silent);
+    this.isJson = Boolean(options.json);
+    this.assumeYes = Boolean(options.yes);
     this.isCronMode = !process.stdout.isTTY;
-    this.tempDir = path.join(__dirname, 'temp');
-
-    // Extension configuration
-    this.extensionId = 'augment.vscode-augment';
-    this.publisherId = 'augment';
-    this.extensionName = 'vscode-augment';
+    this.toVersion = options.toVersion || null;
+    this.since = options.since || null;
+
+    this.config = new ConfigManager({
+      ideIds: Object.keys(new IDEManager().supportedIDEs),
+      userConfigPath: options.configPath
+    }).load();
+
+    Logger.configure({
+      ...this.config.logging,
+      ...(options.verbose ? { level: 'debug' } : {}),
+      logDir: Paths.getLogDir()
+    });
+    if (options.quiet && this.config.logging.level !== 'error') {
+      Logger.setConsoleLevel('warn');
+    }
+    if (this.isSilent) {
+      Logger.setSilent();
+    }
+    if (this.isJson) {
+      Logger.setStderr();
+    }
+    Concurrency.configure({ limit: this.config.updateSettings.concurrency });
+    LookupCache.configure({
+      file: Paths.getLookupCachePath(),
+      ttl: ConfigManager.parseDuration(this.config.updateSettings.cacheTtl),
+      mode: options.offline ? 'offline' : options.refresh ? 'refresh' : 'normal'
+    });
+    try {
+      HttpClient.configure(new NpmConfig().getNetworkOptions());
+    } catch (error) {
+      throw new ConfigError(error.message);
+    }
 
     // Initialize managers
-    this.ideManager = new IDEManager();
-    this.cliManager = new CLIManager();
+    this.registry = new ToolRegistry(this.config.tools, this.config.extensions);
+    this.selectedTools = options.selectedTools || this.registry.getToolIds();
+    this.policy = new VersionPolicy(this.config.policies, this.registry.getTools());
+    this.ideManager = new IDEManager(this.config.idePreferences);
+    this.cliManager = new CLIManager(this.registry.getTools('cli'), this.policy, this.config.nodeVersions, {
+      packageChecks: this.config.packageChecks,
+      autoRevert: this.config.updateSettings.autoRevert
+    });
+    this.extensionManager = new ExtensionManager(Paths.getVsixCacheDir(), this.isDryRun, this.config.galleries, this.policy);
+    this.rollbackStore = new RollbackStore(Paths.getStateDir(), this.isDryRun);
+    this.history = new HistoryStore(Paths.getStateDir(), {
+      isDryRun: this.isDryRun,
+      trigger: this.getTrigger(),
+      maxFiles: this.config.logging.maxHistoryFiles
+    });
+    this.changelog = new ChangelogManager(this.extensionManager);
     this.logger = new Logger();
-    this.notifications = new NotificationManager(this.isDryRun);
+    this.errors = new ErrorHandler();
+    this.notifications = new NotificationManager(this.isDryRun, {
+      enabled: this.config.updateSettings.notifyOnUpdate
+    });
+  }
 
-    // Ensure temp directory exists
-    if (!fs.existsSync(this.tempDir)) {
-      fs.mkdirSync(this.tempDir, { recursive: true });
-    }
+  /**
+   * How this run was started, for the update history: "auto" for update/--auto,
+   * "cron" for unattended checks, "interactive" for everything else
+   */
+  getTrigger() {
+    if (this.command === 'update') return 'auto';
+    return !this.command && this.isCronMode ? 'cron' : 'interactive';
   }
 
-  async getLatestMarketplaceVersion() {
-    try {
-      this.logger.info('Fetching latest Augment version from VS Code Marketplace...');
-
-      const response = await fetch('https://marketplace.visualstudio.com/_apis/public/gallery/extensionquery', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json;api-version=3.0-preview.1',
-          'User-Agent': 'ai-code-updater/2.0.0'
-        },
-        body: JSON.stringify({
-          filters: [{
-            criteria: [{ filterType: 7, value: this.extensionId }],
-            pageNumber: 1,
-            pageSize: 1,
-            sortBy: 0,
-            sortOrder: 0
-          }],
-          assetTypes: [],
-          flags: 0x200
-        })
+  /**
+   * Asks a question on the terminal and resolves with the trimmed answer
+   */
+  prompt(question) {
+    return new Promise((resolve) => {
+      const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
       });
 
-      if (!response.ok) {
-        throw new Error(`API failed: ${response.status}`);
-      }
+      rl.question(question, (answer) => {
+        rl.close();
+        resolve(answer.trim());
+      });
+    });
+  }
 
-      const data = await response.json();
-      if (!data.results?.[0]?.extensions?.[0]?.versions?.[0]) {
-        throw new Error('No extension found');
-      }
+  async confirm(question) {
+    const answer = await this.prompt(chalk.bold(`${question} (y/n): `));
+    return answer.toLowerCase() === 'y';
+  }
 
-      const version = data.results[0].extensions[0].versions[0].version;
-      this.logger.info(`Latest Augment version: ${version}`);
-      return version;
-    } catch (error) {
-      this.logger.warn(`Marketplace API failed: ${error.message}, trying fallback...`);
-      return this.getVersionFallback();
+  getToolLabel(tool) {
+    if (tool.kind === 'extension') {
+      return `${tool.name} Extension (VS Code/Cursor)`;
     }
+    return /\bCLI$/.test(tool.name) ? tool.name : `${tool.name} CLI`;
   }
 
-  async getVersionFallback() {
-      const response = await fetch(`https://marketplace.visualstudio.com/items?itemName=${this.extensionId}`, {
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-      });
+  async showMainMenu() {
+    console.log('\n' + chalk.cyan.bold('🚀 AI Code Tools Updater'));
+    console.log(chalk.gray('═'.repeat(60)));
+    console.log(chalk.white('Manage updates for your AI coding tools\n'));
 
-    if (!response.ok) throw new Error(`Fallback failed: ${response.status}`);
+    const options = this.registry.getTools().map((tool, i) => ({
+      key: String(i + 1),
+      label: `Check & Update ${this.getToolLabel(tool)}`,
+      action: 'tool',
+      tool
+    }));
+
+    [
+      { label: 'Check & Update ALL tools', action: 'all' },
+      { label: '🤖 Auto-pilot: Update ALL (no prompts)', action: 'auto' },
+      { label: 'Show status of all tools', action: 'status' },
+      { label: 'Find duplicate or shadowed CLI installs', action: 'doctor' },
+      { label: 'Remove old extension versions', action: 'cleanup' }
+    ].forEach(opt => options.push({ key: String(options.length + 1), ...opt }));
+    options.push({ key: 'q', label: 'Quit', action: 'quit' });
 
-      const html = await response.text();
-    const patterns = [/"version":"([^"]+)"/, /Version\s+([0-9]+\.[0-9]+\.[0-9]+)/i];
+    options.forEach(opt => {
+      const keyStyle = chalk.bold.cyan(opt.key);
+      console.log(`  ${keyStyle})  ${opt.label}`);
+    });
 
-    for (const pattern of patterns) {
-        const match = html.match(pattern);
-      if (match?.[1]) return match[1];
-    }
+    console.log('');
 
-    throw new Error('Could not find version');
+    const choice = (await this.prompt(chalk.bold('Enter choice: '))).toLowerCase();
+    return options.find(o => o.key === choice) || null;
   }
 
-  async downloadVsix(version) {
-    this.logger.info(`Downloading VSIX for Augment v${version}...`);
+  async showStatus(toolIds = this.registry.getToolIds()) {
+    console.log('\n' + chalk.cyan.bold('📊 AI Tools Status'));
+    console.log(chalk.gray('─'.repeat(60)));
+    if (LookupCache.isOffline()) {
+      console.log(chalk.yellow('📴 Offline: latest versions come from the lookup cache'));
+    }
 
-    if (this.isDryRun) {
-      this.logger.warn('DRY RUN: Would download VSIX');
-      return path.join(this.tempDir, `${this.extensionId}-${version}.vsix`);
+    const { extensions, clis } = await this.checkTools(toolIds, { keepProgress: false });
+
+    for (const tool of this.registry.getTools('extension').filter(t => toolIds.includes(t.id))) {
+      this.showExtensionStatus(tool, extensions[tool.id]);
+    }
+    if (clis) {
+      this.showCLIStatus(toolIds, clis);
     }
 
-    const url = `https://marketplace.visualstudio.com/_apis/public/gallery/publishers/${this.publisherId}/vsextensions/${this.extensionName}/${version}/vspackage`;
+    console.log(chalk.gray('\n' + '─'.repeat(60)));
+  }
 
-    for (let attempt = 1; attempt <= 3; attempt++) {
-      try {
-        const response = await fetch(url, {
-          headers: {
-            'Accept': 'application/octet-stream',
-            'User-Agent': 'VSCode/1.85.0'
-          },
-          timeout: 60000
-        });
+  /**
+   * Checks the selected tools side by side: IDE and CLI detection, gallery and registry
+   * lookups. A terminal gets a live line per tool, cron and pipes plain log lines.
+   * Returns { extensions: { [toolId]: ideStatus[] | Error }, clis: cliStatus[] | null }.
+   */
+  async checkTools(toolIds, { keepProgress = true } = {}) {
+    const extensionTools = this.registry.getTools('extension').filter(tool => toolIds.includes(tool.id));
+    const cliIds = this.registry.getTools('cli').filter(tool => toolIds.includes(tool.id)).map(tool => tool.id);
+    const progress = new ProgressDisplay({ logger: this.logger });
+
+    const checkExtensions = async () => {
+      const statuses = {};
+      if (extensionTools.length === 0) return statuses;
+
+      extensionTools.forEach(tool => progress.start(`ext:${tool.id}`, tool.name, 'detecting IDEs'));
+      await this.ideManager.detectAvailableIDEs();
+      extensionTools.forEach(tool => progress.update(`ext:${tool.id}`, 'checking galleries'));
+      const latest = await this.extensionManager.getLatestVersions(extensionTools, this.ideManager.getDetectedGalleries());
+
+      await Concurrency.map(extensionTools, async (tool) => {
+        try {
+          statuses[tool.id] = await this.getExtensionStatus(tool, latest[tool.id]);
+          progress.succeed(`ext:${tool.id}`, this.summarizeExtensionStatus(statuses[tool.id]));
+        } catch (error) {
+          statuses[tool.id] = error;
+          progress.fail(`ext:${tool.id}`, this.errors.getUserMessage(error));
+        }
+      });
+      return statuses;
+    };
 
-        if (!response.ok) throw new Error(`Status: ${response.status}`);
+    const checkCLIs = async () => {
+      if (cliIds.length === 0) return null;
+      await this.cliManager.detectInstalledCLIs({ ids: cliIds, progress });
+      return this.cliManager.checkAllForUpdates({ progress });
+    };
 
-        const buffer = await response.buffer();
-        if (buffer.length === 0) throw new Error('Empty file');
+    try {
+      const [extensions, clis] = await Promise.all([checkExtensions(), checkCLIs()]);
+      this.recordChecks(extensions, clis);
+      return { extensions, clis };
+    } finally {
+      progress.stop({ keep: keepProgress });
+    }
+  }
 
-        const filePath = path.join(this.tempDir, `${this.extensionId}-${version}.vsix`);
-        fs.writeFileSync(filePath, buffer);
+  /**
+   * Adds a history entry per checked CLI and per IDE the extension is installed in
+   */
+  recordChecks(extensions, clis) {
+    const outcome = ({ error, needsUpdate }) => error ? 'failed' : needsUpdate ? 'available' : 'current';
 
-        this.logger.success(`Downloaded (${(buffer.length / 1024 / 1024).toFixed(2)} MB)`);
-        return filePath;
-    } catch (error) {
-        this.logger.error(`Attempt ${attempt} failed: ${error.message}`);
-        if (attempt < 3) await new Promise(r => setTimeout(r, 2000 * attempt));
+    for (const [toolId, ideStatus] of Object.entries(extensions)) {
+      if (ideStatus instanceof Error) {
+        this.history.record('check', { tool: toolId, outcome: 'failed', error: this.errors.getUserMessage(ideStatus) });
+        continue;
       }
+      ideStatus.filter(status => status.version).forEach(status => this.history.record('check', {
+        tool: toolId,
+        ide: status.ide,
+        from: status.version,
+        to: status.targetVersion,
+        outcome: outcome(status),
+        error: status.error
+      }));
     }
 
-    throw new Error('Download failed after 3 attempts');
+    (clis || []).forEach(cli => this.history.record('check', {
+      tool: cli.id,
+      from: cli.installedVersion,
+      to: cli.targetVersion,
+      outcome: outcome(cli),
+      error: cli.error
+    }));
   }
 
-  cleanupFile(filePath) {
-    try {
-      if (!this.isDryRun && fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        this.logger.success(`Cleaned up: ${path.basename(filePath)}`);
+  /**
+   * "status --json": the check results as a JsonReport on stdout; returns its exit code
+   */
+  async reportStatus(toolIds) {
+    const { extensions, clis } = await this.checkTools(toolIds, { keepProgress: false });
+    const report = this.createReport('status', toolIds, extensions, clis);
+    report.print();
+    return report.getExitCode();
+  }
+
+  createReport(command, toolIds, extensions, clis) {
+    const report = new JsonReport(command, { dryRun: this.isDryRun, offline: LookupCache.isOffline() });
+
+    for (const tool of this.registry.getTools().filter(t => toolIds.includes(t.id))) {
+      const channel = this.policy.getChannel(tool.id);
+      if (tool.kind === 'extension') {
+        report.addExtension(tool, channel, extensions[tool.id]);
+      } else {
+        const cli = (clis || []).find(c => c.id === tool.id) || null;
+        report.addCLI(tool, channel, cli, cli ? this.cliManager.describeInstallation(cli.installation) : null);
       }
-    } catch (error) {
-      this.logger.warn(`Cleanup failed: ${error.message}`);
     }
+    return report;
   }
 
-  async showMainMenu() {
-    console.log('\n' + chalk.cyan.bold('🚀 AI Code Tools Updater'));
-    console.log(chalk.gray('═'.repeat(60)));
-    console.log(chalk.white('Manage updates for your AI coding tools\n'));
+  summarizeExtensionStatus(ideStatus) {
+    if (ideStatus.length === 0) return 'no supported IDEs';
 
-    const options = [
-      { key: '1', label: 'Check & Update Augment Extension (VS Code/Cursor)', action: 'augment' },
-      { key: '2', label: 'Check & Update Claude Code CLI', action: 'claude' },
-      { key: '3', label: 'Check & Update Gemini CLI', action: 'gemini' },
-      { key: '4', label: 'Check & Update OpenAI Codex CLI', action: 'codex' },
-      { key: '5', label: 'Check & Update ALL tools', action: 'all' },
-      { key: '6', label: 'Show status of all tools', action: 'status' },
-      { key: 'q', label: 'Quit', action: 'quit' }
-    ];
+    return ideStatus.map(({ config, version, targetVersion, needsUpdate, error }) => {
+      if (error) return `${config.name} failed`;
+      return `${config.name} ${needsUpdate ? `${version || 'not installed'} → ${targetVersion}` : 'up to date'}`;
+    }).join(', ');
+  }
 
-    options.forEach(opt => {
-      const keyStyle = chalk.bold.cyan(opt.key);
-      console.log(`  ${keyStyle})  ${opt.label}`);
+  showExtensionStatus(tool, ideStatus) {
+    console.log(chalk.bold(`\n${tool.icon} ${this.getToolLabel(tool)}`));
+    if (ideStatus instanceof Error) {
+      console.log(chalk.red(`  Error checking ${tool.name}: ${this.errors.getUserMessage(ideStatus)}`));
+      return;
+    }
+
+    ideStatus.forEach(status => {
+      const current = status.version || 'Not installed';
+      if (status.error) {
+        console.log(`  ${chalk.red('✗')} ${status.config.name.padEnd(12)} ${chalk.white(current.padEnd(15))} ${chalk.red(status.error)}`);
+        return;
+      }
+
+      const statusIcon = status.needsUpdate ? chalk.yellow('⚠️') : chalk.green('✓');
+      const source = chalk.gray(` [${this.extensionManager.getSource(status.gallery).name}]`);
+      const note = this.getPolicyNote(tool.id, status.targetVersion, status.latestVersion) + this.getCacheNote(status.cachedAt);
+      console.log(`  ${statusIcon} ${status.config.name.padEnd(12)} ${chalk.white(current.padEnd(15))} ${status.needsUpdate ? chalk.cyan('→ ' + status.targetVersion) : chalk.green('Up to date')}${note}${source}`);
     });
 
-    console.log('');
+    if (ideStatus.length === 0) {
+      console.log(chalk.gray('  No supported IDEs detected'));
+    }
+  }
 
-    return new Promise((resolve) => {
-      const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
+  showCLIStatus(toolIds, allStatus) {
+    console.log(chalk.bold('\n🖥️  CLI Tools'));
+    const cliStatus = allStatus.filter(cli => toolIds.includes(cli.id));
 
-      rl.question(chalk.bold('Enter choice: '), (answer) => {
-        rl.close();
-        const choice = answer.toLowerCase().trim();
-        const selected = options.find(o => o.key === choice);
-        resolve(selected?.action || null);
+    if (cliStatus.length === 0) {
+      console.log(chalk.gray('  No CLI tools installed'));
+    }
+
+    for (const cli of cliStatus) {
+      if (cli.error) {
+        console.log(`  ${chalk.red('✗')} ${cli.config.name.padEnd(12)} ${chalk.white(`v${cli.installedVersion}`.padEnd(15))} ${chalk.red(cli.error)}`);
+        continue;
+      }
+
+      const statusIcon = cli.needsUpdate ? chalk.yellow('⚠️') : chalk.green('✓');
+      const current = `v${cli.installedVersion}`;
+      const target = cli.targetVersion ? `→ v${cli.targetVersion}` : '';
+      const note = this.getPolicyNote(cli.id, cli.targetVersion, cli.latestVersion) + this.getCacheNote(cli.cachedAt);
+      const source = chalk.gray(` [${this.cliManager.describeInstallation(cli.installation)}]`);
+      console.log(`  ${statusIcon} ${cli.config.name.padEnd(12)} ${chalk.white(current.padEnd(15))} ${cli.needsUpdate ? chalk.cyan(target) : chalk.green('Up to date')}${source}${note}`);
+      this.showNodeCopies(cli);
+    }
+
+    // Show available but not installed
+    const notInstalled = this.cliManager.getAvailableCLIs()
+      .filter(cli => toolIds.includes(cli.id) && !cliStatus.find(s => s.id === cli.id));
+
+    if (notInstalled.length > 0) {
+      console.log(chalk.gray('\n  Not installed:'));
+      notInstalled.forEach(cli => {
+        console.log(chalk.gray(`    - ${cli.name}: npm install -g ${cli.npmPackage}`));
       });
+    }
+  }
+
+  /**
+   * Versions of a CLI installed under the other Node versions of nvm, fnm, asdf and Volta
+   */
+  showNodeCopies(cli) {
+    const updatesAll = this.config.nodeVersions.update === 'all';
+    for (const { node, installation } of cli.nodeCopies || []) {
+      const outdated = this.policy.needsUpdate(cli.id, installation.version, cli.targetVersion);
+      const line = `      ${NodeInstallations.describe(node).padEnd(22)} v${installation.version}`;
+      console.log(outdated && updatesAll ? chalk.yellow(line) : chalk.gray(line));
+    }
+  }
+
+  /**
+   * Gray hint naming the channel a tool follows and the release its policy holds back
+   */
+  getPolicyNote(toolId, targetVersion, latestVersion) {
+    if (!this.policy.has(toolId)) return '';
+    const held = latestVersion && targetVersion !== latestVersion ? `latest ${latestVersion}; ` : '';
+    return chalk.gray(` (${held}${this.policy.describe(toolId)})`);
+  }
+
+  /**
+   * Gray hint with the age of versions the lookup cache served without asking the server
+   */
+  getCacheNote(cachedAt) {
+    return cachedAt ? chalk.gray(` (cached ${LookupCache.formatAge(cachedAt)})`) : '';
+  }
+
+  /**
+   * Scans the detected IDEs for an extension and pairs each one with the latest
+   * version available from that IDE's gallery and the version its policy allows
+   */
+  async getExtensionStatus(tool, toolLatest) {
+    const ideStatus = await this.ideManager.scanForExtension(tool.extensionId);
+
+    return ideStatus.map(status => {
+      const latest = toolLatest[status.config.gallery] || {};
+      const targetVersion = latest.version || null;
+
+      return {
+        ...status,
+        latestVersion: latest.latest || null,
+        targetVersion,
+        gallery: latest.gallery || status.config.gallery,
+        cachedAt: latest.cachedAt || null,
+        error: latest.error || null,
+        needsUpdate: this.policy.needsUpdate(tool.id, status.version, targetVersion)
+      };
     });
   }
 
-  async showStatus() {
-    console.log('\n' + chalk.cyan.bold('📊 AI Tools Status'));
-    console.log(chalk.gray('─'.repeat(60)));
+  /**
+   * Downloads each distinct gallery/version once and installs it into the IDEs that need it,
+   * remembering the replaced versions for rollback. Returns one { target, success, durationMs,
+   * error } per target.
+   */
+  async installExtensionTargets(tool, targets) {
+    const results = [];
+    const groups = new Map();
+
+    targets.forEach(target => {
+      const key = `${target.gallery}@${target.targetVersion}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(target);
+    });
 
-    // Augment Extension Status
-    console.log(chalk.bold('\n🔌 Augment Extension (VS Code/Cursor)'));
-    try {
-      this.ideManager.detectAvailableIDEs();
-      const ideStatus = await this.ideManager.scanForExtension(this.extensionId);
-      const latestAugment = await this.getLatestMarketplaceVersion();
-
-      ideStatus.forEach(status => {
-        const current = status.version || 'Not installed';
-        const needsUpdate = !status.version || semver.gt(latestAugment, status.version);
-        const statusIcon = needsUpdate ? chalk.yellow('⚠️') : chalk.green('✓');
-        console.log(`  ${statusIcon} ${status.config.name.padEnd(12)} ${chalk.white(current.padEnd(15))} ${needsUpdate ? chalk.cyan('→ ' + latestAugment) : chalk.green('Up to date')}`);
-      });
+    for (const group of groups.values()) {
+      const { gallery, targetVersion } = group[0];
 
-      if (ideStatus.length === 0) {
-        console.log(chalk.gray('  No supported IDEs detected'));
+      try {
+        const vsixPath = await this.extensionManager.downloadVsix(tool, targetVersion, gallery);
+
+        for (const target of group) {
+          const started = Date.now();
+          let success = await this.ideManager.installExtension(target, vsixPath, this.isDryRun);
+          let error = success ? null : 'Extension install failed';
+          let revert = null;
+
+          const problem = success && !this.isDryRun && tool.healthCheck !== false
+            && this.ideManager.checkExtensionFolder(target.ide, tool.extensionId, targetVersion);
+          if (problem) {
+            success = false;
+            ({ error, revert } = await this.revertExtension(tool, target, problem));
+          }
+
+          if (success) {
+            this.rollbackStore.recordUpdate(tool.id, target.ide, target.version, targetVersion);
+          }
+          results.push({ target, success, durationMs: Date.now() - started, error, revert });
+        }
+      } catch (error) {
+        const message = this.errors.getUserMessage(error);
+        this.logger.error(`${tool.name} update failed: ${message}`);
+        group.forEach(target => results.push({ target, success: false, durationMs: 0, error: message }));
       }
-    } catch (error) {
-      console.log(chalk.red(`  Error checking Augment: ${error.message}`));
     }
 
-    // CLI Tools Status
-    console.log(chalk.bold('\n🖥️  CLI Tools'));
-    try {
-      await this.cliManager.detectInstalledCLIs();
-      const cliStatus = await this.cliManager.checkAllForUpdates();
-
-      if (cliStatus.length === 0) {
-        console.log(chalk.gray('  No CLI tools installed'));
+    results.forEach(({ target, success, durationMs, error, revert }) => {
+      const entry = { tool: tool.id, ide: target.ide, from: target.version, to: target.targetVersion };
+      this.history.record('update', { ...entry, outcome: success ? 'success' : 'failed', durationMs, error });
+      if (revert) {
+        this.history.record('rollback', { ...entry, from: target.targetVersion, to: target.version, ...revert });
       }
+    });
 
-      for (const cli of cliStatus) {
-        const statusIcon = cli.needsUpdate ? chalk.yellow('⚠️') : chalk.green('✓');
-        const current = `v${cli.installedVersion}`;
-        const latest = cli.latestVersion ? `→ v${cli.latestVersion}` : '';
-        console.log(`  ${statusIcon} ${cli.config.name.padEnd(12)} ${chalk.white(current.padEnd(15))} ${cli.needsUpdate ? chalk.cyan(latest) : chalk.green('Up to date')}`);
-      }
+    this.extensionManager.pruneVsixCache(tool.extensionId);
+    return results;
+  }
 
-      // Show available but not installed
-      const availableCLIs = this.cliManager.getAvailableCLIs();
-      const notInstalled = availableCLIs.filter(cli => 
-        !cliStatus.find(s => s.id === cli.id)
-      );
+  /**
+   * After a failed health check: reinstalls the version the IDE had before, unless
+   * "updateSettings.autoRevert" is off. Returns the error to report for the update and,
+   * when a revert was tried, its { outcome, error } for the history.
+   */
+  async revertExtension(tool, target, problem) {
+    const failure = `${target.targetVersion} failed its health check: ${problem}`;
+    this.logger.error(`${tool.name} in ${target.config.name}: ${failure}`);
+    if (!this.config.updateSettings.autoRevert || !semver.valid(target.version)) {
+      return { error: failure, revert: null };
+    }
 
-      if (notInstalled.length > 0) {
-        console.log(chalk.gray('\n  Not installed:'));
-        notInstalled.forEach(cli => {
-          console.log(chalk.gray(`    - ${cli.name}: npm install -g ${cli.npmPackage}`));
-        });
+    try {
+      this.logger.info(`Reverting ${tool.name} in ${target.config.name} to ${target.version}...`);
+      const vsixPath = await this.extensionManager.downloadVsix(tool, target.version, target.gallery);
+      if (!await this.ideManager.installExtension(target, vsixPath, false, { force: true })) {
+        throw new Error('Extension install failed');
       }
+      return { error: `${failure}; reverted to ${target.version}`, revert: { outcome: 'success' } };
     } catch (error) {
-      console.log(chalk.red(`  Error checking CLI tools: ${error.message}`));
+      const message = this.errors.getUserMessage(error);
+      this.logger.error(`Failed to revert ${tool.name} in ${target.config.name}: ${message}`);
+      return { error: `${failure}; reverting to ${target.version} failed: ${message}`, revert: { outcome: 'failed', error: message } };
     }
-
-    console.log(chalk.gray('\n' + '─'.repeat(60)));
   }
 
-  async updateAugment() {
-    console.log('\n' + chalk.cyan.bold('🔌 Augment Extension Update'));
+  async updateExtension(tool) {
+    console.log('\n' + chalk.cyan.bold(`${tool.icon} ${tool.name} Extension Update`));
     console.log(chalk.gray('─'.repeat(60)));
 
-    this.ideManager.detectAvailableIDEs();
-    const ideStatus = await this.ideManager.scanForExtension(this.extensionId);
+    await this.ideManager.detectAvailableIDEs();
+    const latest = await this.extensionManager.getLatestVersions([tool], this.ideManager.getDetectedGalleries());
+    const ideStatus = await this.getExtensionStatus(tool, latest[tool.id]);
 
     if (ideStatus.length === 0) {
       console.log(chalk.yellow('No supported IDEs detected. Install Cursor or VS Code first.'));
       return;
     }
 
-    const latestVersion = await this.getLatestMarketplaceVersion();
-
     // Show current status
-    let anyNeedsUpdate = false;
     ideStatus.forEach(status => {
       const current = status.version || 'Not installed';
-      const needsUpdate = !status.version || semver.gt(latestVersion, status.version);
-      if (needsUpdate) anyNeedsUpdate = true;
+      if (status.error) {
+        console.log(`${status.config.name}: ${current} ${chalk.red(`(${status.error})`)}`);
+        return;
+      }
 
-      const statusColor = needsUpdate ? chalk.yellow : chalk.green;
-      console.log(`${status.config.name}: ${statusColor(current)} ${needsUpdate ? '→ ' + latestVersion : '(up to date)'}`);
+      const statusColor = status.needsUpdate ? chalk.yellow : chalk.green;
+      const note = this.getPolicyNote(tool.id, status.targetVersion, status.latestVersion);
+      console.log(`${status.config.name}: ${statusColor(current)} ${status.needsUpdate ? '→ ' + status.targetVersion : '(up to date)'}${note}`);
     });
 
-    if (!anyNeedsUpdate) {
+    const outdated = ideStatus.filter(status => status.needsUpdate);
+    if (outdated.length === 0) {
       console.log(chalk.green('\n✅ All IDEs are up to date!'));
       return;
     }
 
+    const notes = await this.changelog.getExtensionNotes(tool, outdated);
+    this.showReleaseNotes(notes, outdated.length === 1 ? outdated[0].version : null);
+
     // Prompt for update
-    const targets = await this.promptIDESelection(ideStatus, latestVersion);
+    const targets = await this.promptIDESelection(outdated);
     if (targets.length === 0) {
       console.log(chalk.gray('No updates selected.'));
       return;
     }
 
-    let vsixPath = null;
-    try {
-      vsixPath = await this.downloadVsix(latestVersion);
-
-      for (const target of targets) {
-        await this.ideManager.installExtension(target, vsixPath, this.isDryRun);
-      }
-
+    const results = await this.installExtensionTargets(tool, targets);
+    if (results.every(result => result.success)) {
       console.log(chalk.green('\n✅ Update complete! Reload your IDE(s) for changes to take effect.'));
-    } finally {
-      if (vsixPath) this.cleanupFile(vsixPath);
+    } else {
+      console.log(chalk.yellow(`\n⚠️  ${results.filter(result => !result.success).length} of ${results.length} install(s) failed.`));
     }
   }
 
-  async promptIDESelection(ideStatus, latestVersion) {
-    return new Promise((resolve) => {
-      const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
+  showReleaseNotes(notes, fromVersion) {
+    if (notes.length === 0) {
+      console.log(chalk.gray('\nNo release notes found.'));
+      return;
+    }
+    console.log('\n' + this.changelog.format(notes, fromVersion));
+  }
 
-      console.log('\n' + chalk.cyan('Select IDEs to update:'));
-      console.log(`  ${chalk.bold('a')} - Update ALL`);
-      ideStatus.forEach((status, i) => {
-        console.log(`  ${chalk.bold(i + 1)} - ${status.config.name} only`);
-      });
-      console.log(`  ${chalk.bold('q')} - Cancel`);
+  /**
+   * Appends a one-line excerpt of the release notes to a notification message
+   */
+  withExcerpt(message, notes) {
+    const excerpt = this.changelog.getExcerpt(notes);
+    return excerpt ? `${message}\n\n${excerpt}` : message;
+  }
 
-      rl.question(chalk.bold('\nChoice: '), (answer) => {
-        rl.close();
-        const choice = answer.toLowerCase().trim();
+  async promptIDESelection(ideStatus) {
+    console.log('\n' + chalk.cyan('Select IDEs to update:'));
+    console.log(`  ${chalk.bold('a')} - Update ALL`);
+    ideStatus.forEach((status, i) => {
+      console.log(`  ${chalk.bold(i + 1)} - ${status.config.name} only`);
+    });
+    console.log(`  ${chalk.bold('q')} - Cancel`);
 
-        if (choice === 'q') return resolve([]);
-        if (choice === 'a') return resolve(ideStatus);
+    const choice = (await this.prompt(chalk.bold('\nChoice: '))).toLowerCase();
 
-        const idx = parseInt(choice) - 1;
-        if (idx >= 0 && idx < ideStatus.length) {
-          return resolve([ideStatus[idx]]);
-        }
+    if (choice === 'q') return [];
+    if (choice === 'a') return ideStatus;
 
-          resolve([]);
-      });
-    });
+    const idx = parseInt(choice) - 1;
+    if (idx >= 0 && idx < ideStatus.length) {
+      return [ideStatus[idx]];
+    }
+
+    return [];
   }
 
-  async updateClaudeCode() {
-    console.log('\n' + chalk.cyan.bold('🤖 Claude Code CLI Update'));
+  async updateCLITool(tool) {
+    const label = this.getToolLabel(tool);
+    console.log('\n' + chalk.cyan.bold(`${tool.icon} ${label} Update`));
     console.log(chalk.gray('─'.repeat(60)));
 
-    await this.cliManager.detectInstalledCLIs();
-    const claudeCLI = this.cliManager.detectedCLIs.find(c => c.id === 'claude-code');
-
-    if (!claudeCLI) {
-      console.log(chalk.yellow('Claude Code CLI is not installed.'));
-      console.log(chalk.gray(`Install with: npm install -g @anthropic-ai/claude-code`));
-
-      const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
-
-      return new Promise((resolve) => {
-        rl.question(chalk.bold('Install now? (y/n): '), async (answer) => {
-          rl.close();
-          if (answer.toLowerCase() === 'y') {
-            await this.cliManager.installCLI('claude-code', this.isDryRun);
-          }
-          resolve();
+    const cli = await this.cliManager.detectCLI(tool.id);
+
+    if (!cli) {
+      console.log(chalk.yellow(`${label} is not installed.`));
+      console.log(chalk.gray(`Install with: npm install -g ${tool.npmPackage}`));
+
+      if (await this.confirm('Install now?')) {
+        const started = Date.now();
+        const result = await this.cliManager.installCLI(tool.id, this.isDryRun);
+        this.history.record('update', {
+          tool: tool.id,
+          to: result.version,
+          outcome: result.success ? 'success' : 'failed',
+          durationMs: Date.now() - started,
+          error: result.error
         });
-      });
+      }
+      return;
     }
 
-    const latestVersion = await this.cliManager.getLatestVersion(claudeCLI.config.npmPackage);
-    const needsUpdate = semver.gt(latestVersion, claudeCLI.installedVersion);
+    const { latestVersion, targetVersion } = await this.cliManager.resolveVersions(cli);
+    const needsUpdate = this.cliManager.needsUpdate(cli, targetVersion);
 
-    console.log(`Current: v${claudeCLI.installedVersion}`);
+    console.log(`Current: v${cli.installedVersion} (${this.cliManager.describeInstallation(cli.installation)})`);
     console.log(`Latest:  v${latestVersion}`);
+    if (this.policy.has(tool.id)) {
+      console.log(`Policy:  ${this.policy.describe(tool.id)} → ${targetVersion ? `v${targetVersion}` : 'no allowed version'}`);
+    }
 
     if (!needsUpdate) {
-      console.log(chalk.green('\n✅ Claude Code is up to date!'));
+      console.log(chalk.green(`\n✅ ${tool.name} is up to date!`));
       return;
     }
 
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
+    const notes = await this.changelog.getCLINotes(tool.npmPackage, cli.installedVersion, targetVersion);
+    this.showReleaseNotes(notes, cli.installedVersion);
 
-    return new Promise((resolve) => {
-      rl.question(chalk.bold('\nUpdate now? (y/n): '), async (answer) => {
-        rl.close();
-        if (answer.toLowerCase() === 'y') {
-          await this.cliManager.updateCLI(claudeCLI, this.isDryRun);
-        }
-        resolve();
-      });
+    if (await this.confirm(`\nUpdate to v${targetVersion} now?`)) {
+      await this.installCLIUpdate({ ...cli, latestVersion, targetVersion });
+    }
+  }
+
+  /**
+   * Updates a CLI to its target version and remembers the version it replaced
+   */
+  async installCLIUpdate(cli) {
+    const started = Date.now();
+    const result = await this.cliManager.updateCLI(cli, this.isDryRun);
+    // Recorded even when a copy under another Node version failed, as the main one changed
+    if (result.newVersion) {
+      this.rollbackStore.recordUpdate(cli.id, null, cli.installedVersion, result.newVersion);
+    }
+    this.history.record('update', {
+      tool: cli.id,
+      from: cli.installedVersion,
+      to: result.newVersion || cli.targetVersion,
+      outcome: result.success ? 'success' : 'failed',
+      durationMs: Date.now() - started,
+      error: result.error
     });
+    if (result.revertedTo) {
+      this.history.record('rollback', { tool: cli.id, from: cli.targetVersion, to: result.revertedTo, outcome: 'success' });
+    }
+    return result;
+  }
+
+  async updateTool(tool) {
+    if (tool.kind === 'extension') {
+      await this.updateExtension(tool);
+    } else {
+      await this.updateCLITool(tool);
+    }
   }
 
-  async updateGeminiCLI() {
-    console.log('\n' + chalk.cyan.bold('💎 Gemini CLI Update'));
+  async updateAll() {
+    console.log('\n' + chalk.cyan.bold('🔄 Updating All AI Tools'));
     console.log(chalk.gray('─'.repeat(60)));
 
-    await this.cliManager.detectInstalledCLIs();
-    const geminiCLI = this.cliManager.detectedCLIs.find(c => c.id === 'gemini-cli');
+    for (const tool of this.registry.getTools()) {
+      await this.updateTool(tool);
+    }
+
+    console.log(chalk.green('\n✅ All updates complete!'));
+  }
 
-    if (!geminiCLI) {
-      console.log(chalk.yellow('Gemini CLI is not installed.'));
-      console.log(chalk.gray(`Install with: npm install -g @google/gemini-cli`));
+  /**
+   * Reinstalls the version a tool had before its last update, or the version given
+   * with --to. Returns the process exit code.
+   */
+  async runRollback(toolId, toVersion = null) {
+    const tool = this.registry.getTool(toolId);
+    console.log('\n' + chalk.cyan.bold(`↩️  ${this.getToolLabel(tool)} Rollback`));
+    console.log(chalk.gray('─'.repeat(60)));
 
-      const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
+    const success = tool.kind === 'extension'
+      ? await this.rollbackExtension(tool, toVersion)
+      : await this.rollbackCLI(tool, toVersion);
 
-      return new Promise((resolve) => {
-        rl.question(chalk.bold('Install now? (y/n): '), async (answer) => {
-          rl.close();
-          if (answer.toLowerCase() === 'y') {
-            await this.cliManager.installCLI('gemini-cli', this.isDryRun);
-          }
-          resolve();
-        });
-      });
+    if (success && !this.policy.has(tool.id)) {
+      console.log(chalk.gray(`\nTip: add a "policies" entry for ${tool.id} so the next update does not reinstall the bad version`));
     }
+    return success ? 0 : 1;
+  }
 
-    const latestVersion = await this.cliManager.getLatestVersion(geminiCLI.config.npmPackage);
-    const needsUpdate = semver.gt(latestVersion, geminiCLI.installedVersion);
+  async rollbackCLI(tool, toVersion) {
+    const cli = await this.cliManager.detectCLI(tool.id);
+    if (!cli) {
+      console.log(chalk.yellow(`${tool.name} is not installed.`));
+      return false;
+    }
 
-    console.log(`Current: v${geminiCLI.installedVersion}`);
-    console.log(`Latest:  v${latestVersion}`);
+    const lastUpdate = this.rollbackStore.getLastUpdate(tool.id);
+    const version = toVersion || lastUpdate?.from;
+    if (!version) {
+      console.log(chalk.yellow(`No previous version of ${tool.name} recorded. Choose one with --to <version>.`));
+      return false;
+    }
 
-    if (!needsUpdate) {
-      console.log(chalk.green('\n✅ Gemini CLI is up to date!'));
-      return;
+    console.log(`Current:      v${cli.installedVersion}`);
+    console.log(`Rolling back: v${version}`);
+    if (version === cli.installedVersion) {
+      console.log(chalk.green(`\n✅ ${tool.name} is already at v${version}`));
+      return true;
     }
 
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
+    const started = Date.now();
+    const result = await this.cliManager.updateCLI({ ...cli, targetVersion: version }, this.isDryRun, { revert: false });
+    if (result.success && version === lastUpdate?.from) {
+      this.rollbackStore.removeLastUpdate(tool.id);
+    }
+    this.history.record('rollback', {
+      tool: tool.id,
+      from: cli.installedVersion,
+      to: version,
+      outcome: result.success ? 'success' : 'failed',
+      durationMs: Date.now() - started,
+      error: result.error
     });
+    return result.success;
+  }
 
-    return new Promise((resolve) => {
-      rl.question(chalk.bold('\nUpdate now? (y/n): '), async (answer) => {
-        rl.close();
-        if (answer.toLowerCase() === 'y') {
-          await this.cliManager.updateCLI(geminiCLI, this.isDryRun);
+  async rollbackExtension(tool, toVersion) {
+    await this.ideManager.detectAvailableIDEs();
+    const installed = (await this.ideManager.scanForExtension(tool.extensionId)).filter(status => status.version);
+
+    if (installed.length === 0) {
+      console.log(chalk.yellow(`${tool.name} is not installed in any detected IDE.`));
+      return false;
+    }
+
+    let success = true;
+    for (const status of installed) {
+      const lastUpdate = this.rollbackStore.getLastUpdate(tool.id, status.ide);
+      const version = toVersion || lastUpdate?.from;
+      if (!version) {
+        console.log(chalk.yellow(`${status.config.name}: no previous version recorded. Choose one with --to <version>.`));
+        success = false;
+        continue;
+      }
+      if (version === status.version) {
+        console.log(chalk.green(`${status.config.name}: already at ${version}`));
+        continue;
+      }
+
+      console.log(`${status.config.name}: ${status.version} → ${version}`);
+      const entry = { tool: tool.id, ide: status.ide, from: status.version, to: version };
+      const started = Date.now();
+      // Only VSIX files the updater downloaded itself are cached, so the version an
+      // update replaced is often missing and has to come from the gallery
+      const isCached = Boolean(this.extensionManager.getCachedVsix(tool.extensionId, version));
+      if (!isCached && !toVersion) {
+        console.log(chalk.gray(`  v${version} is not in the VSIX cache; downloading it from the gallery`));
+      }
+      try {
+        const vsixPath = await this.extensionManager.downloadVsix(tool, version, status.config.gallery);
+        const installedOk = await this.ideManager.installExtension(status, vsixPath, this.isDryRun, { force: true });
+        if (installedOk && version === lastUpdate?.from) {
+          this.rollbackStore.removeLastUpdate(tool.id, status.ide);
         }
-        resolve();
-      });
-    });
+        this.history.record('rollback', {
+          ...entry,
+          outcome: installedOk ? 'success' : 'failed',
+          durationMs: Date.now() - started,
+          error: installedOk ? null : 'Extension install failed'
+        });
+        success = success && installedOk;
+      } catch (error) {
+        const message = this.errors.getUserMessage(error);
+        this.logger.error(`${status.config.name} rollback failed: ${message}`);
+        if (!isCached && !toVersion) {
+          console.log(chalk.yellow(`${status.config.name}: nothing to reinstall. v${version} was not downloaded by the updater, so it is not in the VSIX cache, and no gallery could provide it. Choose another version with --to <version>.`));
+        }
+        this.history.record('rollback', { ...entry, outcome: 'failed', durationMs: Date.now() - started, error: message });
+        success = false;
+      }
+    }
+
+    this.extensionManager.pruneVsixCache(tool.extensionId);
+    if (success) {
+      console.log(chalk.green('\n✅ Rollback complete! Reload your IDE(s) for changes to take effect.'));
+    }
+    return success;
   }
 
-  async updateOpenAICodex() {
-    console.log('\n' + chalk.cyan.bold('🧠 OpenAI Codex CLI Update'));
+  /**
+   * "history": recorded checks, updates and rollbacks, oldest first. Without --since only
+   * the most recent entries are shown.
+   */
+  showHistory(toolIds, since = null) {
+    const entries = this.history.read({ toolIds, since });
+    const shown = since ? entries : entries.slice(-HISTORY_LIMIT);
+
+    console.log('\n' + chalk.cyan.bold('📜 Update History'));
     console.log(chalk.gray('─'.repeat(60)));
+    if (entries.length === 0) {
+      console.log(chalk.gray(since ? 'Nothing recorded in this period.' : 'Nothing recorded yet.'));
+      return;
+    }
+    if (shown.length < entries.length) {
+      console.log(chalk.gray(`Last ${shown.length} of ${entries.length} entries; use --since to see more`));
+    }
 
-    await this.cliManager.detectInstalledCLIs();
-    const codexCLI = this.cliManager.detectedCLIs.find(c => c.id === 'openai-codex');
+    shown.forEach(entry => console.log(this.formatHistoryEntry(entry)));
+    console.log(chalk.gray('─'.repeat(60)));
+  }
 
-    if (!codexCLI) {
-      console.log(chalk.yellow('OpenAI Codex CLI is not installed.'));
-      console.log(chalk.gray(`Install with: npm install -g @openai/codex`));
+  formatHistoryEntry(entry) {
+    const time = new Date(entry.at).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+    const tool = this.registry.getTool(entry.tool)?.name || entry.tool;
+    const ide = entry.ide ? ` (${this.ideManager.supportedIDEs[entry.ide]?.name || entry.ide})` : '';
+    const versions = entry.from && entry.to && entry.from !== entry.to
+      ? `${entry.from} → ${entry.to}`
+      : entry.from || entry.to || '';
+    const outcomes = {
+      current: chalk.gray('up to date'),
+      available: chalk.yellow('update available'),
+      success: chalk.green('✓'),
+      failed: chalk.red(`✗${entry.error ? ` ${entry.error}` : ''}`)
+    };
+    const took = entry.durationMs ? chalk.gray(` (${(entry.durationMs / 1000).toFixed(1)}s)`) : '';
+
+    return `${chalk.gray(time)}  ${entry.trigger.padEnd(11)} ${entry.event.padEnd(8)} ${tool}${ide}: ${versions} ${outcomes[entry.outcome] || entry.outcome}${took}`;
+  }
 
-      const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
+  /**
+   * Lists every copy of each CLI, shows which one runs and offers to update or remove
+   * the others. Returns 1 when a shadowed or stale copy was found, else 0.
+   */
+  async runDoctor(toolIds = this.registry.getToolIds()) {
+    console.log('\n' + chalk.cyan.bold('🩺 AI Tools Doctor'));
+    console.log(chalk.gray('─'.repeat(60)));
 
-      return new Promise((resolve) => {
-        rl.question(chalk.bold('Install now? (y/n): '), async (answer) => {
-          rl.close();
-          if (answer.toLowerCase() === 'y') {
-            await this.cliManager.installCLI('openai-codex', this.isDryRun);
-          }
-          resolve();
+    const tools = this.registry.getTools('cli').filter(tool => toolIds.includes(tool.id));
+    if (tools.length === 0) {
+      console.log(chalk.gray('No CLI tools selected'));
+      return 0;
+    }
+
+    let problems = 0;
+    for (const tool of tools) {
+      console.log('\n' + chalk.bold(`${tool.icon} ${tool.name}`) + chalk.gray(` (${tool.command})`));
+
+      const copies = await this.cliManager.findInstallations(tool);
+      if (copies.length === 0) {
+        console.log(chalk.gray('  Not installed'));
+        continue;
+      }
+      copies.forEach(copy => console.log(this.formatCopy(copy)));
+
+      const active = copies.find(copy => copy.active);
+      const others = copies.filter(copy => !copy.active);
+      const shadowed = others.filter(copy => copy.onPath);
+      const newest = copies
+        .filter(copy => semver.valid(copy.installation?.version))
+        .sort((a, b) => semver.rcompare(a.installation.version, b.installation.version))[0];
+
+      if (!active) {
+        console.log(chalk.yellow(`  ⚠️  None of these is on PATH, so \`${tool.command}\` does not run any of them`));
+      } else if (newest && active.installation?.version && semver.lt(active.installation.version, newest.installation.version)) {
+        problems++;
+        console.log(chalk.yellow(`  ⚠️  \`${tool.command}\` runs v${active.installation.version}, but v${newest.installation.version} is installed at ${newest.binPath}`));
+        console.log(chalk.gray(`     Update the copy that runs with: acu update ${tool.id}`));
+      }
+      if (shadowed.length > 0) {
+        problems++;
+        console.log(chalk.yellow(`  ⚠️  ${shadowed.length} more cop${shadowed.length === 1 ? 'y is' : 'ies are'} on PATH but never run${shadowed.length === 1 ? 's' : ''}`));
+      }
+
+      if (others.length > 0 && !this.isCronMode) {
+        await this.fixCopies(tool, active, others);
+      }
+    }
+
+    if (problems === 0) {
+      console.log(chalk.green('\n✅ No shadowed or stale CLI installations found'));
+    }
+    return problems > 0 ? 1 : 0;
+  }
+
+  formatCopy(copy) {
+    const { installation } = copy;
+    const version = installation?.version ? `v${installation.version}` : 'unknown';
+    const owner = [installation ? installation.manager?.name || 'unmanaged' : 'unknown', copy.source].filter(Boolean).join(', ');
+    const state = copy.active ? chalk.green('runs'.padEnd(12)) : copy.onPath ? chalk.yellow('shadowed'.padEnd(12)) : chalk.gray('not on PATH'.padEnd(12));
+
+    return `  ${copy.active ? chalk.green('▶') : ' '} ${chalk.white(version.padEnd(12))} ${state} ${copy.binPath} ${chalk.gray(`[${owner}]`)}`;
+  }
+
+  /**
+   * Asks what to do with each copy that is not the one on PATH: update it to the
+   * version the active copy should have, uninstall it, or leave it
+   */
+  async fixCopies(tool, active, others) {
+    let versions = null;
+    try {
+      versions = await this.cliManager.resolveVersions({ id: tool.id, config: tool, installation: active?.installation });
+    } catch (error) {
+      this.logger.warn(`Could not look up the latest ${tool.name} version: ${this.errors.getUserMessage(error)}`);
+    }
+
+    for (const copy of others) {
+      const { installation } = copy;
+      if (!installation) continue;
+
+      const canUpdate = versions?.targetVersion && this.policy.needsUpdate(tool.id, installation.version, versions.targetVersion);
+      const choices = [canUpdate && `[u]pdate to v${versions.targetVersion}`, '[r]emove', '[s]kip'].filter(Boolean);
+      const answer = (await this.prompt(chalk.bold(`\n${copy.binPath} (v${installation.version}): ${choices.join(', ')}? `))).toLowerCase();
+
+      const cli = { id: tool.id, config: tool, installedVersion: installation.version, installation, ...versions };
+      if (answer === 'u' && canUpdate) {
+        await this.cliManager.updateCLI(cli, this.isDryRun);
+      } else if (answer === 'r') {
+        await this.cliManager.removeCLI(cli, this.isDryRun);
+      }
+    }
+  }
+
+  /**
+   * Lists the folders of old extension versions each IDE no longer uses with their size
+   * and removes them after asking; without a terminal only --yes removes them. Returns 1
+   * when a folder could not be removed.
+   */
+  async runCleanup(toolIds = this.registry.getToolIds()) {
+    console.log('\n' + chalk.cyan.bold('🧹 Extension Cleanup'));
+    console.log(chalk.gray('─'.repeat(60)));
+
+    const tools = this.registry.getTools('extension').filter(tool => toolIds.includes(tool.id));
+    if (tools.length === 0) {
+      console.log(chalk.gray('No extensions selected'));
+      return 0;
+    }
+
+    const obsolete = [];
+    for (const [ide, config] of Object.entries(this.ideManager.supportedIDEs)) {
+      for (const tool of tools) {
+        const found = this.ideManager.findObsoleteExtensionFolders(ide, tool.extensionId);
+        if (!found) continue;
+
+        console.log('\n' + chalk.bold(`${tool.icon} ${tool.name} in ${config.name}`) + chalk.gray(` (${found.extensionDir})`));
+        if (found.skipped) {
+          console.log(chalk.yellow(`  ⚠️  Skipped: ${found.skipped}`));
+          continue;
+        }
+        found.inUse.forEach(folder => console.log(`  ${chalk.green('▶')} ${chalk.white(folder)} ${chalk.green('in use')}`));
+        found.obsolete.forEach(entry => {
+          console.log(`    ${chalk.white(entry.folder)} ${chalk.gray(this.formatSize(entry.bytes))}`);
+          obsolete.push({ ...entry, tool, ide: config.name });
         });
-      });
+      }
     }
 
-    const latestVersion = await this.cliManager.getLatestVersion(codexCLI.config.npmPackage);
-    const needsUpdate = semver.gt(latestVersion, codexCLI.installedVersion);
+    if (obsolete.length === 0) {
+      console.log(chalk.green('\n✅ No old extension versions to remove'));
+      return 0;
+    }
 
-    console.log(`Current: v${codexCLI.installedVersion}`);
-    console.log(`Latest:  v${latestVersion}`);
+    const total = this.formatSize(obsolete.reduce((sum, entry) => sum + entry.bytes, 0));
+    const count = `${obsolete.length} old version folder${obsolete.length === 1 ? '' : 's'}`;
+    console.log('\n' + chalk.bold(`${count} ${obsolete.length === 1 ? 'uses' : 'use'} ${total}`));
+    console.log(chalk.gray('Reload open IDE windows first if they have not picked up the update yet'));
 
-    if (!needsUpdate) {
-      console.log(chalk.green('\n✅ OpenAI Codex CLI is up to date!'));
-      return;
+    if (this.isDryRun) {
+      console.log(chalk.yellow(`\n🔸 DRY RUN: Would remove ${count} (${total})`));
+      return 0;
+    }
+    if (!this.assumeYes && this.isCronMode) {
+      console.log(chalk.yellow('\nNothing removed: run "acu cleanup --yes" to remove them without a terminal'));
+      return 0;
+    }
+    if (!this.assumeYes && !(await this.confirm(`\nRemove ${count}?`))) {
+      console.log(chalk.gray('Nothing removed'));
+      return 0;
+    }
+
+    let freed = 0;
+    let failed = 0;
+    for (const entry of obsolete) {
+      const result = await this.ideManager.removeExtensionFolder(entry.path);
+      if (result.success) {
+        freed += entry.bytes;
+        this.logger.success(`Removed ${entry.tool.name} v${entry.version} from ${entry.ide}`);
+      } else {
+        failed++;
+        this.logger.error(`Could not remove ${entry.path}: ${result.error}`);
+      }
     }
 
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
+    console.log(chalk.green(`\n✅ Freed ${this.formatSize(freed)}`) + (failed > 0 ? chalk.red(`, ${failed} folder${failed === 1 ? '' : 's'} left`) : ''));
+    return failed > 0 ? 1 : 0;
+  }
+
+  formatSize(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${Math.ceil(bytes / 1024)} KB`;
+  }
+
+  async runAutoPilot(toolIds = this.registry.getToolIds()) {
+    const extensionTools = this.registry.getTools('extension').filter(tool => toolIds.includes(tool.id));
+    const summary = new UpdateSummary({
+      extensionTools,
+      showCLIs: this.registry.getTools('cli').some(tool => toolIds.includes(tool.id))
     });
 
-    return new Promise((resolve) => {
-      rl.question(chalk.bold('\nUpdate now? (y/n): '), async (answer) => {
-        rl.close();
-        if (answer.toLowerCase() === 'y') {
-          await this.cliManager.updateCLI(codexCLI, this.isDryRun);
-        }
-        resolve();
-      });
+    if (!this.isSilent && !this.isJson) {
+      console.log('\n' + chalk.cyan.bold('🤖 Auto-pilot: Updating All AI Tools'));
+      console.log(chalk.gray('─'.repeat(60)));
+    }
+
+    const { extensions, clis } = await this.checkTools(toolIds);
+    for (const tool of extensionTools) {
+      await this.autoUpdateExtension(tool, extensions[tool.id], summary);
+    }
+    if (clis) {
+      await this.autoUpdateCLIs(summary, toolIds, clis);
+    }
+
+    if (this.isJson) {
+      const report = this.createReport('update', toolIds, extensions, clis);
+      report.addResults(summary);
+      report.print();
+      return report.getExitCode();
+    }
+
+    summary.print({ isDryRun: this.isDryRun });
+    return summary.getExitCode();
+  }
+
+  async autoUpdateExtension(tool, ideStatus, summary) {
+    if (ideStatus instanceof Error) {
+      const message = this.errors.getUserMessage(ideStatus);
+      this.logger.error(`${tool.name} check failed: ${message}`);
+      summary.addExtension({ tool: tool.id, name: tool.name, status: 'failed', error: message });
+      return;
+    }
+
+    const outdated = [];
+    ideStatus.forEach(status => {
+      if (status.error) {
+        summary.addExtension({ tool: tool.id, ide: status.ide, name: status.config.name, status: 'failed', from: status.version, error: status.error });
+      } else if (status.needsUpdate) {
+        outdated.push(status);
+      } else {
+        summary.addExtension({ tool: tool.id, ide: status.ide, name: status.config.name, status: 'current', from: status.version });
+      }
     });
+
+    const targets = this.ideManager.selectTargets(outdated);
+    outdated.filter(status => !targets.includes(status)).forEach(status => summary.addExtension({
+      tool: tool.id,
+      ide: status.ide,
+      name: status.config.name,
+      status: 'skipped',
+      from: status.version,
+      reason: 'not the preferred IDE'
+    }));
+
+    const results = await this.installExtensionTargets(tool, targets);
+    results.forEach(({ target, success, durationMs, error }) => summary.addExtension({
+      tool: tool.id,
+      ide: target.ide,
+      name: target.config.name,
+      status: success ? 'updated' : 'failed',
+      from: target.version,
+      to: target.targetVersion,
+      durationMs,
+      error
+    }));
   }
 
-  async updateAll() {
-    console.log('\n' + chalk.cyan.bold('🔄 Updating All AI Tools'));
-    console.log(chalk.gray('─'.repeat(60)));
+  async autoUpdateCLIs(summary, toolIds, cliStatus) {
+    const clis = this.registry.getTools('cli').filter(tool => toolIds.includes(tool.id));
 
-    await this.updateAugment();
-    await this.updateClaudeCode();
-    await this.updateGeminiCLI();
-    await this.updateOpenAICodex();
+    for (const cli of clis) {
+      const status = cliStatus.find(s => s.id === cli.id);
+      const entry = { tool: cli.id, name: cli.name, icon: cli.icon };
 
-    console.log(chalk.green('\n✅ All updates complete!'));
+      if (!status) {
+        summary.addCLI({ ...entry, status: 'missing' });
+        continue;
+      }
+
+      if (status.error) {
+        summary.addCLI({ ...entry, status: 'failed', from: status.installedVersion, error: status.error });
+        continue;
+      }
+
+      if (!status.needsUpdate) {
+        summary.addCLI({ ...entry, status: 'current', from: status.installedVersion });
+        continue;
+      }
+
+      const started = Date.now();
+      const result = await this.installCLIUpdate(status);
+      summary.addCLI({
+        ...entry,
+        status: result.success ? 'updated' : 'failed',
+        from: status.installedVersion,
+        to: result.newVersion || status.targetVersion,
+        durationMs: Date.now() - started,
+        error: result.error
+      });
+    }
   }
 
   async run() {
     try {
-      if (this.isDryRun) {
+      if (this.isDryRun && !this.isJson) {
         console.log(chalk.yellow('🔸 DRY RUN MODE - No actual changes will be made\n'));
       }
 
+      if (this.command === 'status' && this.isJson) {
+        process.exitCode = await this.reportStatus(this.selectedTools);
+        return;
+      }
+
+      if (this.command === 'status') {
+        await this.showStatus(this.selectedTools);
+        return;
+      }
+
+      if (this.command === 'update') {
+        process.exitCode = await this.runAutoPilot(this.selectedTools);
+        return;
+      }
+
+      if (this.command === 'doctor') {
+        process.exitCode = await this.runDoctor(this.selectedTools);
+        return;
+      }
+
+      if (this.command === 'cleanup') {
+        process.exitCode = await this.runCleanup(this.selectedTools);
+        return;
+      }
+
+      if (this.command === 'history') {
+        this.showHistory(this.selectedTools, this.since);
+        return;
+      }
+
+      if (this.command === 'rollback') {
+        process.exitCode = await this.runRollback(this.selectedTools[0], this.toVersion);
+        return;
+      }
+
       // If run without TTY (cron mode), just check and notify
       if (this.isCronMode) {
-        await this.runCronMode();
+        await this.runCronMode(this.selectedTools);
         return;
       }
 
       // Interactive mode
       while (true) {
-        const action = await this.showMainMenu();
+        const selected = await this.showMainMenu();
 
-        switch (action) {
-          case 'augment':
-            await this.updateAugment();
-            break;
-          case 'claude':
-            await this.updateClaudeCode();
-            break;
-          case 'gemini':
-            await this.updateGeminiCLI();
-            break;
-          case 'codex':
-            await this.updateOpenAICodex();
+        switch (selected?.action) {
+          case 'tool':
+            await this.updateTool(selected.tool);
             break;
           case 'all':
             await this.updateAll();
             break;
+          case 'auto':
+            await this.runAutoPilot();
+            break;
           case 'status':
             await this.showStatus();
             break;
+          case 'doctor':
+            await this.runDoctor();
+            break;
+          case 'cleanup':
+            await this.runCleanup();
+            break;
           case 'quit':
             console.log(chalk.gray('\nGoodbye! 👋'));
             return;
@@ -543,75 +1189,123 @@ class AICodeUpdater {
         }
 
         // Pause before showing menu again
-        await new Promise((resolve) => {
-          const rl = readline.createInterface({
-            input: process.stdin,
-            output: process.stdout
-          });
-          rl.question(chalk.gray('\nPress ENTER to continue...'), () => {
-            rl.close();
-            resolve();
-          });
-        });
+        await this.prompt(chalk.gray('\nPress ENTER to continue...'));
       }
     } catch (error) {
-      this.logger.error(`Fatal error: ${error.message}`);
+      this.logger.error(`Fatal error: ${this.errors.getUserMessage(error)}`);
+      this.logger.debug(error.stack);
       process.exit(1);
     }
   }
 
-  async runCronMode() {
-    this.logger.info('Running in cron mode...');
+  /**
+   * Cron checks are skipped until updateSettings.checkInterval has passed since the last one.
+   * A few minutes of slack keeps a 6h cron schedule from skipping every other run.
+   */
+  isCheckDue() {
+    const interval = ConfigManager.parseDuration(this.config.updateSettings.checkInterval);
+    try {
+      const { lastCheck } = JSON.parse(fs.readFileSync(this.getLastCheckPath(), 'utf8'));
+      return Date.now() - lastCheck >= interval - 5 * 60 * 1000;
+    } catch (error) {
+      return true;
+    }
+  }
 
-    // Check Augment
+  recordCheck() {
+    if (this.isDryRun) return;
     try {
-      this.ideManager.detectAvailableIDEs();
-      const ideStatus = await this.ideManager.scanForExtension(this.extensionId);
-      const latestAugment = await this.getLatestMarketplaceVersion();
+      fs.mkdirSync(path.dirname(this.getLastCheckPath()), { recursive: true });
+      fs.writeFileSync(this.getLastCheckPath(), JSON.stringify({ lastCheck: Date.now() }));
+    } catch (error) {
+      this.logger.warn(`Could not record check time: ${error.message}`);
+    }
+  }
 
-      const augmentNeedsUpdate = ideStatus.some(s => 
-        !s.version || semver.gt(latestAugment, s.version)
-      );
+  getLastCheckPath() {
+    return path.join(Paths.getStateDir(), 'last-check.json');
+  }
 
-      if (augmentNeedsUpdate) {
-        const result = await this.notifications.sendNative(
-          'Augment Update Available',
-          `New version: ${latestAugment}`,
-          ['Later', 'Update Now']
-        );
+  async runCronMode(toolIds = this.registry.getToolIds()) {
+    if (!this.isDryRun && !this.isCheckDue()) {
+      this.logger.info(`Last check was less than ${this.config.updateSettings.checkInterval} ago, skipping`);
+      return;
+    }
 
-        if (result === 'Update Now') {
-          const vsixPath = await this.downloadVsix(latestAugment);
-          for (const target of ideStatus.filter(s => !s.version || semver.gt(latestAugment, s.version))) {
-            await this.ideManager.installExtension(target, vsixPath, this.isDryRun);
-          }
-          this.cleanupFile(vsixPath);
-          await this.notifications.showSimple('Update Complete', 'Augment has been updated');
-        }
-      }
-      } catch (error) {
-      this.logger.error(`Augment check failed: ${error.message}`);
+    this.logger.info('Running in cron mode...');
+    this.recordCheck();
+
+    const { extensions, clis } = await this.checkTools(toolIds);
+    for (const tool of this.registry.getTools('extension').filter(t => toolIds.includes(t.id))) {
+      await this.cronCheckExtension(tool, extensions[tool.id]);
     }
 
     // Check CLI tools
+    const { autoInstall } = this.config.updateSettings;
     try {
-      await this.cliManager.detectInstalledCLIs();
-      const cliStatus = await this.cliManager.checkAllForUpdates();
-
-      for (const cli of cliStatus.filter(c => c.needsUpdate)) {
-        const result = await this.notifications.sendNative(
+      for (const cli of (clis || []).filter(c => c.needsUpdate)) {
+        const notes = autoInstall ? [] : await this.changelog.getCLINotes(cli.config.npmPackage, cli.installedVersion, cli.targetVersion);
+        const approved = await this.approveCronUpdate(
           `${cli.config.name} Update Available`,
-          `v${cli.installedVersion} → v${cli.latestVersion}`,
-          ['Later', 'Update Now']
+          this.withExcerpt(`v${cli.installedVersion} → v${cli.targetVersion}`, notes)
         );
 
-        if (result === 'Update Now') {
-          await this.cliManager.updateCLI(cli, this.isDryRun);
+        if (!approved) {
+          this.logger.info(`${cli.config.name} v${cli.targetVersion} available, not installing`);
+        } else {
+          await this.installCLIUpdate(cli);
           await this.notifications.showSimple('Update Complete', `${cli.config.name} has been updated`);
         }
       }
     } catch (error) {
-      this.logger.error(`CLI check failed: ${error.message}`);
+      this.logger.error(`CLI check failed: ${this.errors.getUserMessage(error)}`);
+    }
+  }
+
+  /**
+   * Installs right away with autoInstall, else asks through a notification. Offline the
+   * notification only informs, as installing needs the network.
+   */
+  async approveCronUpdate(title, message) {
+    if (LookupCache.isOffline()) {
+      await this.notifications.showSimple(title, message);
+      return false;
+    }
+
+    return this.config.updateSettings.autoInstall
+      || await this.notifications.sendNative(title, message, ['Later', 'Update Now']) === 'Update Now';
+  }
+
+  async cronCheckExtension(tool, ideStatus) {
+    const { autoInstall } = this.config.updateSettings;
+
+    try {
+      if (ideStatus instanceof Error) throw ideStatus;
+      ideStatus.filter(s => s.error).forEach(s =>
+        this.logger.error(`${tool.name} check failed for ${s.config.name}: ${s.error}`)
+      );
+
+      const targets = this.ideManager.selectTargets(ideStatus.filter(s => s.needsUpdate));
+      if (targets.length === 0) return;
+
+      const newVersions = [...new Set(targets.map(t => t.targetVersion))].join(', ');
+      const notes = autoInstall ? [] : await this.changelog.getExtensionNotes(tool, targets);
+      const approved = await this.approveCronUpdate(
+        `${tool.name} Update Available`,
+        this.withExcerpt(`New version: ${newVersions}`, notes)
+      );
+
+      if (!approved) {
+        this.logger.info(`${tool.name} ${newVersions} available, not installing`);
+        return;
+      }
+
+      const results = await this.installExtensionTargets(tool, targets);
+      if (results.some(result => result.success)) {
+        await this.notifications.showSimple('Update Complete', `${tool.name} has been updated`);
+      }
+    } catch (error) {
+      this.logger.error(`${tool.name} check failed: ${this.errors.getUserMessage(error)}`);
     }
   }
 }
@@ -629,7 +1323,41 @@ process.on('unhandledRejection', (reason) => {
 
 // Run the updater
 if (require.main === module) {
-  const updater = new AICodeUpdater();
+  const parser = new ArgParser();
+  let options;
+  let updater;
+
+  try {
+    options = parser.parse(process.argv.slice(2));
+
+    if (options.version) {
+      console.log(packageVersion);
+      process.exit(0);
+    }
+
+    if (options.help) {
+      // Help lists the configured tools, or the built-in ones when the config is broken
+      let registry;
+      try {
+        registry = new AICodeUpdater(options).registry;
+      } catch (error) {
+        registry = new ToolRegistry();
+      }
+      console.log(parser.getHelp(registry));
+      process.exit(0);
+    }
+
+    updater = new AICodeUpdater(options);
+
+    updater.selectedTools = parser.selectTools(options, updater.registry);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    if (!(error instanceof ConfigError)) {
+      console.error('Run "acu --help" for usage.');
+    }
+    process.exit(2);
+  }
+
   updater.run();
 }
 
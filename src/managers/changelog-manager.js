@@ -0,0 +1,204 @@
+const semver = require('semver');
+const chalk = require('chalk');
+const Logger = require('../utils/logger');
+const HttpClient = require('../utils/http-client');
+const ErrorHandler = require('../utils/error-handler');
+const Tarball = require('../utils/tarball');
+const LookupCache = require('../utils/lookup-cache');
+const NpmConfig = require('../utils/npm-config');
+
+const CHANGELOG_FILE = /^package\/(CHANGELOG|CHANGES|HISTORY|RELEASES)(\.md|\.markdown|\.txt)?$/i;
+const VERSION_HEADING = /^(#{1,4})\s+.*?\bv?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)/;
+const VERSION_IN_TAG = /(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)$/;
+
+// Tarballs bigger than this are not downloaded just for their changelog
+const MAX_UNPACKED_SIZE = 50 * 1024 * 1024;
+// Sections shown when the installed version is unknown
+const MAX_SECTIONS_WITHOUT_BASE = 3;
+
+/**
+ * Release notes between the installed and the target version: CHANGELOG.md from the npm
+ * tarball or GitHub releases for CLIs, the gallery's changelog asset for extensions.
+ * Lookups never throw; missing notes just mean an empty list, as do all lookups offline.
+ */
+class ChangelogManager {
+  constructor(extensionManager) {
+    this.logger = new Logger('Changelog');
+    this.errors = new ErrorHandler();
+    this.extensionManager = extensionManager;
+    this.npmConfig = new NpmConfig();
+  }
+
+  /**
+   * Returns [{ version, body }] for the versions after fromVersion up to toVersion, newest first
+   */
+  async getCLINotes(npmPackage, fromVersion, toVersion) {
+    if (LookupCache.isOffline()) return [];
+
+    try {
+      const url = this.npmConfig.getPackageUrl(npmPackage, toVersion);
+      const manifest = await this.fetchJson(url, this.npmConfig.getAuthHeaders(url));
+
+      const markdown = await this.getTarballChangelog(manifest);
+      const sections = markdown ? this.extractSections(markdown, fromVersion, toVersion) : [];
+      if (sections.length > 0) return sections;
+
+      const repo = this.getGitHubRepo(manifest.repository);
+      return repo ? await this.getGitHubNotes(repo, fromVersion, toVersion) : [];
+    } catch (error) {
+      this.logger.warn(`No release notes for ${npmPackage}: ${this.errors.getUserMessage(error)}`);
+      return [];
+    }
+  }
+
+  /**
+   * Notes covering every outdated IDE: from the oldest installed version to the newest target
+   */
+  async getExtensionNotes(tool, targets) {
+    if (LookupCache.isOffline()) return [];
+
+    const newest = [...targets].sort((a, b) => semver.rcompare(a.targetVersion, b.targetVersion))[0];
+    const oldest = targets.map(t => t.version).filter(v => semver.valid(v)).sort(semver.compare)[0] || null;
+
+    try {
+      const markdown = await this.extensionManager.getSource(newest.gallery).getChangelog(tool.extensionId, newest.targetVersion);
+      return markdown ? this.extractSections(markdown, oldest, newest.targetVersion) : [];
+    } catch (error) {
+      this.logger.warn(`No release notes for ${tool.name}: ${this.errors.getUserMessage(error)}`);
+      return [];
+    }
+  }
+
+  async getTarballChangelog(manifest) {
+    const { tarball, unpackedSize } = manifest.dist || {};
+    if (!tarball || unpackedSize > MAX_UNPACKED_SIZE) return null;
+
+    const response = await HttpClient.fetch(tarball, {
+      headers: { 'User-Agent': 'ai-code-updater/2.0.0', ...this.npmConfig.getAuthHeaders(tarball) },
+      timeout: 30000
+    });
+    if (!response.ok) throw new Error(`Tarball download failed: ${response.status}`);
+
+    const content = new Tarball(await response.buffer()).findFile(name => CHANGELOG_FILE.test(name));
+    return content ? content.toString('utf8') : null;
+  }
+
+  /**
+   * "owner/repo" for repositories hosted on GitHub, else null
+   */
+  getGitHubRepo(repository) {
+    const url = typeof repository === 'string' ? repository : repository?.url;
+    const match = url && url.match(/github\.com[/:]([\w.-]+)\/([\w.-]+?)(?:\.git)?(?:[#/].*)?$/);
+    return match ? `${match[1]}/${match[2]}` : null;
+  }
+
+  async getGitHubNotes(repo, fromVersion, toVersion) {
+    const headers = { 'Accept': 'application/vnd.github+json' };
+    if (process.env.GITHUB_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+    }
+
+    const releases = await this.fetchJson(`https://api.github.com/repos/${repo}/releases?per_page=50`, headers);
+    const sections = releases
+      .filter(release => !release.draft)
+      .map(release => ({ version: (release.tag_name.match(VERSION_IN_TAG) || [])[1], body: (release.body || '').trim() }));
+
+    return this.selectRange(sections, fromVersion, toVersion);
+  }
+
+  /**
+   * Splits a changelog at its version headings and keeps the sections in range
+   */
+  extractSections(markdown, fromVersion, toVersion) {
+    const sections = [];
+    let current = null;
+
+    for (const line of markdown.split(/\r?\n/)) {
+      const heading = line.match(VERSION_HEADING);
+      if (heading) {
+        current = { version: heading[2], lines: [] };
+        sections.push(current);
+      } else if (current) {
+        current.lines.push(line);
+      }
+    }
+
+    return this.selectRange(
+      sections.map(({ version, lines }) => ({ version, body: lines.join('\n').trim() })),
+      fromVersion,
+      toVersion
+    );
+  }
+
+  selectRange(sections, fromVersion, toVersion) {
+    const seen = new Set();
+    const selected = sections
+      .filter(({ version }) => semver.valid(version) && semver.lte(version, toVersion))
+      .filter(({ version }) => !semver.valid(fromVersion) || semver.gt(version, fromVersion))
+      .filter(({ version }) => !seen.has(version) && seen.add(version))
+      .sort((a, b) => semver.rcompare(a.version, b.version));
+
+    return semver.valid(fromVersion) ? selected : selected.slice(0, MAX_SECTIONS_WITHOUT_BASE);
+  }
+
+  /**
+   * Terminal rendering of the notes, cut after maxLines
+   */
+  format(sections, fromVersion, { maxLines = 30 } = {}) {
+    const since = semver.valid(fromVersion) ? ` since v${fromVersion}` : '';
+    const lines = [];
+
+    for (const { version, body } of sections) {
+      lines.push(chalk.bold(`  v${version}`));
+      body.split('\n')
+        .filter((line, i, all) => line.trim() || (i > 0 && all[i - 1].trim()))
+        .forEach(line => lines.push(`    ${this.formatLine(line)}`));
+    }
+
+    const hidden = lines.length - maxLines;
+    const shown = hidden > 0 ? lines.slice(0, maxLines) : lines;
+    if (hidden > 0) shown.push(chalk.gray(`    … ${hidden} more line${hidden === 1 ? '' : 's'}`));
+
+    return [chalk.cyan(`📝 What's new${since}:`), ...shown].join('\n');
+  }
+
+  formatLine(line) {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) return chalk.bold(heading[1]);
+    return line.replace(/^(\s*)[-*+]\s+/, '$1• ');
+  }
+
+  /**
+   * One plain-text line from the newest notes, for notifications
+   */
+  getExcerpt(sections, maxLength = 120) {
+    const line = (sections[0]?.body || '')
+      .split('\n')
+      .filter(l => !/^\s*#/.test(l))
+      .map(l => this.toPlainText(l))
+      .find(Boolean);
+    if (!line) return '';
+
+    return line.length > maxLength ? `${line.slice(0, maxLength - 1)}…` : line;
+  }
+
+  toPlainText(line) {
+    return line
+      .replace(/^\s*([-*+]|\d+\.)\s+/, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[`*_]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  async fetchJson(url, headers = {}) {
+    const response = await HttpClient.fetch(url, {
+      headers: { 'Accept': 'application/json', 'User-Agent': 'ai-code-updater/2.0.0', ...headers },
+      timeout: 15000
+    });
+    if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+    return response.json();
+  }
+}
+
+module.exports = ChangelogManager;
@@ -1,174 +1,617 @@
-const { execSync } = require('child_process');
-const fetch = require('node-fetch');
+const path = require('path');
 const semver = require('semver');
 const Logger = require('../utils/logger');
+const Which = require('../utils/which');
+const Shell = require('../utils/shell');
+const ErrorHandler = require('../utils/error-handler');
+const Concurrency = require('../utils/concurrency');
+const LookupCache = require('../utils/lookup-cache');
+const NpmConfig = require('../utils/npm-config');
+const NodeInstallations = require('../utils/node-installations');
+const ToolRegistry = require('./tool-registry');
+const VersionPolicy = require('../utils/version-policy');
+const PackageVerifier = require('../utils/package-verifier');
+const NodePackageManager = require('../package-managers/node-package-manager');
+const Homebrew = require('../package-managers/homebrew');
+const ClaudeNativeInstaller = require('../package-managers/claude-native');
 
 class CLIManager {
-  constructor() {
+  constructor(tools = new ToolRegistry().getTools('cli'), policy = new VersionPolicy(), nodeVersions = { update: 'path', primary: null }, { packageChecks = {}, autoRevert = true } = {}) {
     this.logger = new Logger('CLI');
-    this.supportedCLIs = {
-      'claude-code': {
-        name: 'Claude Code',
-        npmPackage: '@anthropic-ai/claude-code',
-        command: 'claude',
-        description: 'Anthropic Claude Code - agentic coding in your terminal',
-        icon: '🤖'
-      },
-      'gemini-cli': {
-        name: 'Gemini CLI',
-        npmPackage: '@google/gemini-cli',
-        command: 'gemini',
-        description: 'Google Gemini CLI - AI agent in your terminal',
-        icon: '💎'
-      },
-      'openai-codex': {
-        name: 'OpenAI Codex',
-        npmPackage: '@openai/codex',
-        command: 'codex',
-        description: 'OpenAI Codex CLI - coding agent in your terminal',
-        icon: '🧠'
-      }
-    };
-
+    this.errors = new ErrorHandler();
+    this.policy = policy;
+    this.nodeVersions = nodeVersions;
+    this.autoRevert = autoRevert;
+    this.primaryNode = undefined;
+    this.globalPackages = null;
+    this.npmConfig = new NpmConfig();
+    this.packageVerifier = new PackageVerifier(packageChecks, this.npmConfig);
+    this.supportedCLIs = Object.fromEntries(tools.map(tool => [tool.id, tool]));
     this.detectedCLIs = [];
+
+    // Asked in this order which one owns a command; npm matches any node_modules path
+    this.packageManagers = [
+      new Homebrew(),
+      new ClaudeNativeInstaller(),
+      ...NodePackageManager.getIds().map(id => new NodePackageManager(id))
+    ];
+  }
+
+  getPackageManager(id) {
+    return this.packageManagers.find(manager => manager.id === id) || null;
   }
 
-  async detectInstalledCLIs() {
+  /**
+   * Detects the CLIs side by side (all of them unless "ids" narrows it down). An optional
+   * ProgressDisplay gets one "cli:<id>" task per tool, which checkAllForUpdates() completes
+   * for the installed ones.
+   */
+  async detectInstalledCLIs({ ids = Object.keys(this.supportedCLIs), progress = null } = {}) {
     this.logger.info('Detecting installed CLI tools...');
-    const detected = [];
+    this.globalPackages = null;
 
-    for (const [id, config] of Object.entries(this.supportedCLIs)) {
+    const found = await Concurrency.map(ids, async (id) => {
+      const config = this.supportedCLIs[id];
+      progress?.start(`cli:${id}`, config.name, 'detecting');
       try {
-        const version = await this.getInstalledVersion(config.npmPackage);
-        if (version) {
-          detected.push({ id, config, installedVersion: version });
-          this.logger.success(`${config.name} detected: v${version}`);
+        const cli = await this.detectCLI(id);
+        if (cli) {
+          this.logger.success(`${config.name} detected: v${cli.installedVersion} (${this.describeInstallation(cli.installation)})`);
+          progress?.update(`cli:${id}`, `v${cli.installedVersion}, checking for updates`);
         } else {
           this.logger.warn(`${config.name} not installed`);
+          progress?.succeed(`cli:${id}`, 'not installed');
         }
+        return cli;
       } catch (error) {
-        this.logger.warn(`${config.name} detection failed: ${error.message}`);
+        const message = this.errors.getUserMessage(error);
+        this.logger.warn(`${config.name} detection failed: ${message}`);
+        progress?.fail(`cli:${id}`, message);
+        return null;
       }
+    });
+
+    this.detectedCLIs = found.filter(Boolean);
+    return this.detectedCLIs;
+  }
+
+  /**
+   * Detects a single CLI without scanning the others
+   */
+  async detectCLI(cliId) {
+    const config = this.supportedCLIs[cliId];
+    if (!config) {
+      throw new Error(`Unknown CLI: ${cliId}`);
     }
 
-    this.detectedCLIs = detected;
-    return detected;
+    const installation = await this.detectInstallation(config);
+    if (!installation) return null;
+
+    return {
+      id: cliId,
+      config,
+      installedVersion: installation.version,
+      installation,
+      nodeCopies: await this.findNodeCopies(config, installation)
+    };
   }
 
-  async getInstalledVersion(npmPackage) {
+  /**
+   * The Node install of nvm, fnm, asdf or Volta that "nodeVersions.primary" names, or null.
+   * Only used with "nodeVersions.update": "primary".
+   */
+  getPrimaryNode() {
+    if (this.primaryNode === undefined) {
+      const { update, primary } = this.nodeVersions;
+      this.primaryNode = update === 'primary' && primary ? NodeInstallations.findPrimary(primary) : null;
+      if (update === 'primary' && primary && !this.primaryNode) {
+        this.logger.warn(`No Node install matches nodeVersions.primary "${primary}"; using the one on PATH`);
+      }
+    }
+    return this.primaryNode;
+  }
+
+  /**
+   * Copies of the tool under the other Node versions of nvm, fnm, asdf and Volta:
+   * [{ node, installation }]
+   */
+  async findNodeCopies(config, installation) {
+    const nodes = NodeInstallations.list()
+      .filter(node => !installation.binPath || path.dirname(installation.binPath) !== node.binDir);
+
+    const copies = await Concurrency.map(nodes, async (node) => {
+      const binPath = Which.find(config.command, node.binDir);
+      if (!binPath || Which.resolve(binPath) === installation.realPath) return null;
+
+      const copy = await this.inspectCommand(config, binPath);
+      return copy ? { node, installation: copy } : null;
+    });
+    return copies.filter(Boolean);
+  }
+
+  /**
+   * Works out how a CLI was installed: resolves its command on PATH and asks each package
+   * manager whether it owns the resolved file, falling back to `npm list -g` when the
+   * command is not on PATH. Returns { version, manager, binPath, ... } or null; "manager"
+   * is null for installs no supported package manager owns.
+   */
+  async detectInstallation(config) {
+    const primary = this.getPrimaryNode();
+    if (primary) {
+      const primaryBin = Which.find(config.command, primary.binDir);
+      const installation = primaryBin && await this.inspectCommand(config, primaryBin);
+      return installation ? { ...installation, node: primary } : null;
+    }
+
+    const binPath = Which.find(config.command);
+    const installation = binPath ? await this.inspectCommand(config, binPath) : null;
+    if (installation?.manager) return installation;
+
+    const version = await this.getInstalledVersion(config.npmPackage);
+    if (version) {
+      return { version, manager: this.getPackageManager('npm'), binPath: null };
+    }
+
+    return installation;
+  }
+
+  /**
+   * How the executable at binPath was installed: { version, manager, binPath, realPath, ... }.
+   * "manager" is null when no supported package manager owns it; returns null when not
+   * even `--version` tells which version it is.
+   */
+  async inspectCommand(config, binPath) {
+    const realPath = Which.resolve(binPath);
+    const node = NodeInstallations.findByBinDir(path.dirname(binPath));
+    for (const manager of this.packageManagers.filter(m => m.owns(realPath))) {
+      const installation = await manager.inspect(config, binPath, realPath);
+      if (installation) return { ...installation, manager, binPath, realPath, node };
+    }
+
+    const version = await this.getCommandVersion(binPath);
+    return version ? { version, manager: null, binPath, realPath, node } : null;
+  }
+
+  /**
+   * Every copy of a CLI's command: the ones on PATH (the first one is what runs), the
+   * one in npm's global prefix and the ones in each Node version of nvm, fnm, asdf and
+   * Volta. Copies resolving to the same file are listed once.
+   * Returns [{ binPath, onPath, active, source, installation }].
+   */
+  async findInstallations(config) {
+    const nodeInstalls = NodeInstallations.list();
+    const voltaPrefix = NodeInstallations.getVoltaPackagePrefix(config.npmPackage);
+    const binDirs = [
+      await this.getGlobalBinDir(),
+      ...nodeInstalls.map(install => install.binDir),
+      voltaPrefix && NodeInstallations.getBinDir(voltaPrefix)
+    ].filter(Boolean);
+
+    const onPath = Which.findAll(config.command);
+    const candidates = [
+      ...onPath,
+      ...binDirs.flatMap(binDir => Which.findAll(config.command, binDir))
+    ];
+
+    const seen = new Set();
+    const unique = candidates.filter((binPath) => {
+      const realPath = Which.resolve(binPath);
+      return !seen.has(realPath) && seen.add(realPath);
+    });
+
+    return Concurrency.map(unique, async (binPath) => ({
+      binPath,
+      onPath: onPath.includes(binPath),
+      active: binPath === onPath[0],
+      source: NodeInstallations.describeBinDir(path.dirname(binPath), nodeInstalls),
+      installation: await this.inspectCommand(config, binPath)
+    }));
+  }
+
+  /**
+   * Bin directory of npm's global prefix, or null when npm is not available
+   */
+  async getGlobalBinDir() {
     try {
-      // Try to get version from npm list
-      const output = execSync(`npm list -g ${npmPackage} --depth=0 --json 2>/dev/null`, {
-        encoding: 'utf8',
-        stdio: ['ignore', 'pipe', 'ignore']
-      });
+      const prefix = (await this.runNpm(['npm', 'prefix', '-g'])).trim();
+      return prefix ? NodeInstallations.getBinDir(prefix) : null;
+    } catch (error) {
+      return null;
+    }
+  }
 
-      const data = JSON.parse(output);
-      if (data.dependencies && data.dependencies[npmPackage]) {
-        return data.dependencies[npmPackage].version;
-      }
+  /**
+   * Runs a read-only npm command (ls, view, prefix) with the retry policy, so network
+   * failures npm reports get another attempt. Installs and removals change state and run
+   * once.
+   */
+  runNpm(command, options) {
+    return this.errors.withRetry(() => Shell.run(command, options), { label: Shell.format(command) });
+  }
+
+  /**
+   * Version printed by `<command> --version`, or null
+   */
+  async getCommandVersion(binPath) {
+    try {
+      const output = await Shell.run([binPath, '--version']);
+      return semver.coerce(output)?.version || null;
     } catch (error) {
-      // Try alternative method using npm show
-      try {
-        const output = execSync(`npm list -g ${npmPackage} 2>/dev/null | grep ${npmPackage}`, {
-          encoding: 'utf8',
-          stdio: ['ignore', 'pipe', 'ignore']
-        });
-        const match = output.match(/@(\d+\.\d+\.\d+)/);
-        if (match) return match[1];
-      } catch (e) {
-        // Not installed
-      }
+      return null;
     }
+  }
+
+  describeInstallation(installation) {
+    if (!installation?.manager) return installation?.binPath ? `unmanaged, ${installation.binPath}` : 'unknown';
+    return installation.node ? `${installation.manager.name}, ${NodeInstallations.describe(installation.node)}` : installation.manager.name;
+  }
+
+  /**
+   * Whether the tool needs updating to targetVersion; with "nodeVersions.update": "all"
+   * an outdated copy under another Node version counts too
+   */
+  needsUpdate(cli, targetVersion) {
+    if (this.policy.needsUpdate(cli.id, cli.installedVersion, targetVersion)) return true;
+    return this.nodeVersions.update === 'all' && (cli.nodeCopies || [])
+      .some(copy => this.policy.needsUpdate(cli.id, copy.installation.version, targetVersion));
+  }
 
-    return null;
+  async getInstalledVersion(npmPackage) {
+    const packages = await this.getGlobalPackages();
+    return packages[npmPackage]?.version || null;
+  }
+
+  /**
+   * `npm list -g` runs once per detection and is shared by every tool; install,
+   * update and remove reset it
+   */
+  getGlobalPackages() {
+    if (!this.globalPackages) {
+      this.globalPackages = this.runNpm(['npm', 'list', '-g', '--depth=0', '--json'], { timeout: 30000 })
+        // npm exits non-zero for problems such as extraneous packages but still prints the list
+        .catch(error => error.stdout || '{}')
+        .then((output) => {
+          try {
+            return JSON.parse(output).dependencies || {};
+          } catch (error) {
+            return {};
+          }
+        });
+    }
+    return this.globalPackages;
   }
 
-  async getLatestVersion(npmPackage) {
+  /**
+   * Version a dist-tag points to, as { version, cachedAt } (see LookupCache)
+   */
+  async getLatestVersion(npmPackage, distTag = 'latest') {
+    const what = `The "${distTag}" version of ${npmPackage}`;
+    const url = this.npmConfig.getPackageUrl(npmPackage, distTag);
     try {
-      this.logger.info(`Fetching latest version of ${npmPackage}...`);
+      this.logger.info(`Fetching ${distTag === 'latest' ? 'latest' : `"${distTag}"`} version of ${npmPackage}...`);
 
-      // Try npm registry API first
-      const response = await fetch(`https://registry.npmjs.org/${npmPackage}/latest`, {
+      // Try the registry API first
+      const { value: version, cachedAt } = await LookupCache.fetchJson(`npm:${npmPackage}@${distTag}`, what, url, {
         headers: {
           'Accept': 'application/json',
-          'User-Agent': 'ai-code-updater/2.0.0'
+          'User-Agent': 'ai-code-updater/2.0.0',
+          ...this.npmConfig.getAuthHeaders(url)
         },
-        timeout: 10000
+        timeout: 10000,
+        pick: data => data.version
       });
-
-      if (response.ok) {
-        const data = await response.json();
-        this.logger.info(`Latest version: ${data.version}`);
-        return data.version;
+      this.logger.info(`Latest version: ${version}${cachedAt ? ` (cached ${LookupCache.formatAge(cachedAt)})` : ''}`);
+      return { version, cachedAt };
+    } catch (error) {
+      // Fallback to npm show when the registry answered with an error, e.g. a mirror
+      // without the dist-tag endpoint
+      if (error.status) {
+        const output = await this.runNpm(['npm', 'show', `${npmPackage}@${distTag}`, 'version'], { timeout: 30000 });
+        const version = output.trim();
+        this.logger.info(`Latest version (via npm): ${version}`);
+        return { version, cachedAt: null };
       }
 
-      // Fallback to npm show command
-      const output = execSync(`npm show ${npmPackage} version`, {
-        encoding: 'utf8',
-        stdio: ['ignore', 'pipe', 'ignore']
-      });
-      const version = output.trim();
-      this.logger.info(`Latest version (via npm): ${version}`);
-      return version;
-    } catch (error) {
-      this.logger.error(`Failed to get latest version: ${error.message}`);
+      this.logger.error(`Failed to get latest version: ${this.errors.getUserMessage(error)}`);
       throw error;
     }
   }
 
-  async checkAllForUpdates() {
-    const results = [];
+  /**
+   * Every published version of a package plus its dist-tags
+   */
+  async getAvailableVersions(npmPackage) {
+    this.logger.info(`Fetching published versions of ${npmPackage}...`);
+
+    const url = this.npmConfig.getPackageUrl(npmPackage);
+    const { value, cachedAt } = await LookupCache.fetchJson(`npm:${npmPackage}`, `The version list of ${npmPackage}`, url, {
+      headers: {
+        // Abbreviated metadata: versions and dist-tags without the full manifests
+        'Accept': 'application/vnd.npm.install-v1+json',
+        'User-Agent': 'ai-code-updater/2.0.0',
+        ...this.npmConfig.getAuthHeaders(url)
+      },
+      timeout: 15000,
+      pick: data => ({ versions: Object.keys(data.versions || {}), distTags: data['dist-tags'] || {} })
+    });
+
+    return { ...value, cachedAt };
+  }
+
+  /**
+   * npm dist-tag a tool follows: "latest" for the stable channel, else the channel name
+   */
+  getDistTag(cliId) {
+    const channel = this.policy.getChannel(cliId);
+    return channel === 'stable' ? 'latest' : channel;
+  }
+
+  /**
+   * Current release of the tool's channel ("latestVersion") and the version its policy
+   * allows installing. Tools without version constraints skip the full version list.
+   * "cachedAt" is set when the versions come from the lookup cache unconfirmed.
+   */
+  async resolveVersions(cli) {
+    const { id, config, installation } = cli;
+    const distTag = this.getDistTag(id);
+
+    // Managers with their own package index (Homebrew) only offer their current version
+    if (installation?.manager?.getLatestVersion) {
+      const latestVersion = await installation.manager.getLatestVersion(config, installation);
+      const targetVersion = this.policy.isAllowed(id, latestVersion) ? latestVersion : null;
+      if (!targetVersion) {
+        this.logger.warn(`${config.name}: ${installation.manager.name} offers v${latestVersion}, which the policy (${this.policy.describe(id)}) does not allow`);
+      }
+      return { latestVersion, targetVersion };
+    }
+
+    if (!this.policy.hasConstraints(id)) {
+      const { version: latestVersion, cachedAt } = await this.getLatestVersion(config.npmPackage, distTag);
+      return { latestVersion, targetVersion: latestVersion, cachedAt };
+    }
+
+    const { versions, distTags, cachedAt } = await this.getAvailableVersions(config.npmPackage);
+    const latestVersion = distTags[distTag];
+    if (!latestVersion) {
+      throw new Error(`${config.npmPackage} has no "${distTag}" dist-tag (available: ${Object.keys(distTags).join(', ')})`);
+    }
+
+    const targetVersion = this.policy.isAllowed(id, latestVersion)
+      ? latestVersion
+      : this.policy.selectVersion(id, versions, latestVersion);
+    this.logger.info(`${config.name} policy (${this.policy.describe(id)}): ${targetVersion || 'no allowed version published'}`);
+    return { latestVersion, targetVersion, cachedAt };
+  }
 
-    for (const cli of this.detectedCLIs) {
+  /**
+   * Looks up the target version of every detected CLI, several registry requests at a time
+   */
+  async checkAllForUpdates({ progress = null } = {}) {
+    return Concurrency.map(this.detectedCLIs, async (cli) => {
       try {
-        const latestVersion = await this.getLatestVersion(cli.config.npmPackage);
-        const needsUpdate = semver.gt(latestVersion, cli.installedVersion);
+        const { latestVersion, targetVersion, cachedAt = null } = await this.resolveVersions(cli);
+        const needsUpdate = this.needsUpdate(cli, targetVersion);
+        progress?.succeed(`cli:${cli.id}`, needsUpdate ? `v${cli.installedVersion} → v${targetVersion}` : `v${cli.installedVersion}, up to date`);
 
-        results.push({
-          ...cli,
-          latestVersion,
-          needsUpdate
-        });
+        return { ...cli, latestVersion, targetVersion, needsUpdate, cachedAt };
       } catch (error) {
-        results.push({
+        const message = this.errors.getUserMessage(error);
+        progress?.fail(`cli:${cli.id}`, message);
+        return {
           ...cli,
           latestVersion: null,
+          targetVersion: null,
           needsUpdate: false,
-          error: error.message
-        });
+          error: message
+        };
       }
+    });
+  }
+
+  /**
+   * Updates a CLI, plus its copies under the other Node versions with
+   * "nodeVersions.update": "all". A failed copy fails the whole update.
+   * revert: false keeps a version that fails its health check, for rollbacks, which
+   * would otherwise go back to the version being rolled away from.
+   */
+  async updateCLI(cli, isDryRun = false, { revert = true } = {}) {
+    const installation = cli.installation || { manager: this.getPackageManager('npm') };
+    if (installation.manager instanceof NodePackageManager) {
+      const blocked = await this.checkPackage(cli.config, cli.targetVersion || 'latest', cli.installedVersion);
+      if (blocked) return { success: false, error: blocked };
+    } else if (installation.manager) {
+      this.logger.debug(`No package checks for ${cli.config.name}: ${installation.manager.name} does not install from the npm registry`);
+    }
+
+    const result = await this.updateInstallation(cli, installation, isDryRun, { revert });
+    if (!result.success || this.nodeVersions.update !== 'all') return result;
+
+    const target = cli.targetVersion || result.newVersion;
+    for (const copy of (cli.nodeCopies || []).filter(copy => copy.installation.version !== target)) {
+      const label = NodeInstallations.describe(copy.node);
+      this.logger.info(`Updating the ${cli.config.name} copy of ${label}...`);
+
+      const copyResult = await this.updateInstallation(cli, copy.installation, isDryRun, { revert });
+      if (!copyResult.success) {
+        return { ...result, success: false, error: `${label}: ${copyResult.error}` };
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Runs the "packageChecks" on the version (or dist-tag) an npm-registry install is about
+   * to fetch; checks the registry gives no data for are reported as skipped. Returns why
+   * the install is blocked, or null when it may go ahead.
+   */
+  async checkPackage(config, version, installedVersion = null) {
+    if (!this.packageVerifier.isEnabled()) return null;
+
+    let findings;
+    let checks = [];
+    let skipped = [];
+    try {
+      if (!semver.valid(version)) ({ version } = await this.getLatestVersion(config.npmPackage, version));
+      this.logger.info(`Checking ${config.npmPackage}@${version}...`);
+      ({ checks, findings, skipped } = await this.packageVerifier.verify(config.npmPackage, version, installedVersion));
+    } catch (error) {
+      findings = [`the version to check could not be looked up: ${this.errors.getUserMessage(error)}`];
+    }
+
+    for (const reason of skipped) {
+      this.logger.warn(`${config.npmPackage}@${version}: ${reason}`);
+    }
+
+    if (findings.length === 0) {
+      this.logger.success(`Verified ${config.npmPackage}@${version}: ${checks.join(', ')}`);
+      return null;
     }
 
-    return results;
+    for (const finding of findings) {
+      this.logger.warn(`${config.npmPackage}@${version}: ${finding}`);
+    }
+    if (!this.packageVerifier.isBlocking()) {
+      this.logger.warn('Installing anyway ("packageChecks.mode" is "warn")');
+      return null;
+    }
+
+    const error = `Blocked by package checks: ${findings.join('; ')}`;
+    this.logger.error(error);
+    return error;
   }
 
-  async updateCLI(cli, isDryRun = false) {
+  /**
+   * Updates one installed copy of a CLI with the package manager that installed it
+   */
+  async updateInstallation(cli, installation, isDryRun = false, { revert = true } = {}) {
     const { config } = cli;
+    const { manager } = installation;
+    const target = cli.targetVersion || 'latest';
     this.logger.info(`Updating ${config.name}...`);
 
+    if (!manager) {
+      const error = `${config.name} at ${installation.binPath} was not installed by a supported package manager; update it manually`;
+      this.logger.error(error);
+      return { success: false, error };
+    }
+    if (cli.targetVersion && cli.targetVersion !== cli.latestVersion && !manager.canInstallVersion(installation)) {
+      const error = `${manager.name} cannot install a specific ${config.name} version (v${cli.targetVersion})`;
+      this.logger.error(error);
+      return { success: false, error };
+    }
+
+    // Install the exact policy target so pins and ranges are respected
+    const command = manager.getUpdateCommand(config, target, installation);
+
     if (isDryRun) {
-      this.logger.warn(`DRY RUN: Would update ${config.name} to latest`);
+      this.logger.warn(`DRY RUN: Would update ${config.name} to ${target} with: ${Shell.format(command)}`);
       return { success: true, dryRun: true };
     }
 
     try {
-      // Use npm update with --global flag
-      this.logger.info(`Running: npm install -g ${config.npmPackage}@latest`);
-      
-      execSync(`npm install -g ${config.npmPackage}@latest`, {
-        stdio: 'inherit',
-        timeout: 120000 // 2 minutes timeout for npm install
+      this.logger.info(`Running: ${Shell.format(command)}`);
+
+      await Shell.run(command, {
+        stdio: Logger.getChildStdio(),
+        timeout: 120000 // 2 minutes timeout for the install
       });
+      this.globalPackages = null;
 
-      // Verify the update
-      const newVersion = await this.getInstalledVersion(config.npmPackage);
+      // Verify the update on the copy that was updated
+      const updated = installation.binPath
+        ? await this.inspectCommand(config, installation.binPath)
+        : await this.detectInstallation(config);
+      const newVersion = updated?.version;
       this.logger.success(`${config.name} updated to v${newVersion}`);
 
+      const problem = await this.checkHealth(config, updated?.binPath || installation.binPath);
+      if (problem) return this.revertInstallation(cli, installation, newVersion, problem, revert);
+
       return { success: true, newVersion };
     } catch (error) {
-      this.logger.error(`Failed to update ${config.name}: ${error.message}`);
-      return { success: false, error: error.message };
+      const message = this.errors.getUserMessage(error);
+      this.logger.error(`Failed to update ${config.name}: ${message}`);
+      return { success: false, error: message };
+    }
+  }
+
+  /**
+   * Runs the tool's "healthCheck" (`<command> --version` for the built-in CLIs) with the copy at
+   * binPath. Returns why it failed, or null when it passed or is turned off.
+   */
+  async checkHealth(config, binPath) {
+    if (config.healthCheck === false) return null;
+
+    const command = [binPath || Which.find(config.command) || config.command, ...(config.healthCheck || ['--version'])];
+    try {
+      await Shell.run(command, { timeout: 30000 });
+      this.logger.success(`${config.name} health check passed: ${Shell.format(command)}`);
+      return null;
+    } catch (error) {
+      return this.errors.getUserMessage(error);
+    }
+  }
+
+  /**
+   * After a failed health check: reinstalls the version the copy had before, unless
+   * "updateSettings.autoRevert" is off or revert is false. The update counts as failed
+   * either way; "newVersion" is only returned while the new version stays installed.
+   */
+  async revertInstallation(cli, installation, newVersion, problem, revert = true) {
+    const { config } = cli;
+    const { manager, version: previous } = installation;
+    const failure = `v${newVersion} failed its health check: ${problem}`;
+    this.logger.error(`${config.name} ${failure}`);
+
+    if (!revert || !this.autoRevert || !previous || previous === newVersion) {
+      return { success: false, newVersion, error: failure };
+    }
+    if (!manager.canInstallVersion(installation)) {
+      return { success: false, newVersion, error: `${failure}; ${manager.name} cannot reinstall v${previous}` };
+    }
+
+    const command = manager.getUpdateCommand(config, previous, installation);
+    try {
+      this.logger.info(`Reverting ${config.name} to v${previous}: ${Shell.format(command)}`);
+      await Shell.run(command, { stdio: Logger.getChildStdio(), timeout: 120000 });
+      this.globalPackages = null;
+      this.logger.success(`${config.name} reverted to v${previous}`);
+      return { success: false, error: `${failure}; reverted to v${previous}`, revertedTo: previous };
+    } catch (error) {
+      const message = this.errors.getUserMessage(error);
+      this.logger.error(`Failed to revert ${config.name} to v${previous}: ${message}`);
+      return { success: false, newVersion, error: `${failure}; reverting to v${previous} failed: ${message}` };
+    }
+  }
+
+  /**
+   * Uninstalls one copy of a CLI with the package manager that installed it
+   */
+  async removeCLI(cli, isDryRun = false) {
+    const { config, installation } = cli;
+    const command = installation.manager?.getRemoveCommand(config, installation);
+
+    if (!command) {
+      const error = `Cannot uninstall ${config.name} at ${installation.binPath} automatically; remove it manually`;
+      this.logger.error(error);
+      return { success: false, error };
+    }
+
+    if (isDryRun) {
+      this.logger.warn(`DRY RUN: Would remove ${config.name} with: ${Shell.format(command)}`);
+      return { success: true, dryRun: true };
+    }
+
+    try {
+      this.logger.info(`Running: ${Shell.format(command)}`);
+      await Shell.run(command, { stdio: Logger.getChildStdio(), timeout: 120000 });
+      this.globalPackages = null;
+      this.logger.success(`${config.name} removed from ${installation.binPath}`);
+      return { success: true };
+    } catch (error) {
+      const message = this.errors.getUserMessage(error);
+      this.logger.error(`Failed to remove ${config.name}: ${message}`);
+      return { success: false, error: message };
     }
   }
 
@@ -180,24 +623,52 @@ class CLIManager {
 
     this.logger.info(`Installing ${config.name}...`);
 
-    if (isDryRun) {
-      this.logger.warn(`DRY RUN: Would install ${config.name}`);
-      return { success: true, dryRun: true };
-    }
-
     try {
-      execSync(`npm install -g ${config.npmPackage}`, {
-        stdio: 'inherit',
+      // Install the exact version that was checked, as the policy allows it; the dist-tag
+      // could move in between
+      const { targetVersion: target } = await this.resolveVersions({ id: cliId, config, installation: null });
+      if (!target) {
+        const error = `No ${config.name} version allowed by the policy (${this.policy.describe(cliId)}) is published`;
+        this.logger.error(error);
+        return { success: false, error };
+      }
+
+      const blocked = await this.checkPackage(config, target);
+      if (blocked) return { success: false, error: blocked };
+
+      // Under "nodeVersions.update": "primary" new tools go to the primary Node install
+      const primary = this.getPrimaryNode();
+      const command = ['npm', 'install', '-g', ...(primary ? ['--prefix', primary.prefix] : []), `${config.npmPackage}@${target}`];
+
+      if (isDryRun) {
+        this.logger.warn(`DRY RUN: Would install ${config.name} v${target} with: ${Shell.format(command)}`);
+        return { success: true, dryRun: true };
+      }
+
+      this.logger.info(`Running: ${Shell.format(command)}`);
+      await Shell.run(command, {
+        stdio: Logger.getChildStdio(),
         timeout: 120000
       });
+      this.globalPackages = null;
 
-      const version = await this.getInstalledVersion(config.npmPackage);
+      const installed = await this.detectInstallation(config);
+      const version = installed?.version;
       this.logger.success(`${config.name} installed: v${version}`);
 
+      // A first install has no earlier version to go back to
+      const problem = await this.checkHealth(config, installed?.binPath);
+      if (problem) {
+        const error = `v${version} failed its health check: ${problem}`;
+        this.logger.error(`${config.name} ${error}`);
+        return { success: false, version, error };
+      }
+
       return { success: true, version };
     } catch (error) {
-      this.logger.error(`Failed to install ${config.name}: ${error.message}`);
-      return { success: false, error: error.message };
+      const message = this.errors.getUserMessage(error);
+      this.logger.error(`Failed to install ${config.name}: ${message}`);
+      return { success: false, error: message };
     }
   }
 
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/logger');
+const HttpClient = require('../utils/http-client');
+const ErrorHandler = require('../utils/error-handler');
+const VsixVerifier = require('../utils/vsix-verifier');
+const { VsixError } = require('../utils/vsix-verifier');
+const Concurrency = require('../utils/concurrency');
+const VersionPolicy = require('../utils/version-policy');
+const LookupCache = require('../utils/lookup-cache');
+const { OfflineError } = require('../utils/lookup-cache');
+const MarketplaceSource = require('../sources/marketplace-source');
+const OpenVsxSource = require('../sources/open-vsx-source');
+
+const SOURCE_TYPES = {
+  marketplace: MarketplaceSource,
+  'open-vsx': OpenVsxSource
+};
+
+// Downloaded VSIX files kept per extension, so recent versions can be reinstalled offline
+const MAX_CACHED_VSIX = 3;
+
+// Built-in galleries, in fallback order
+const BUILTIN_GALLERIES = {
+  marketplace: { type: 'marketplace' },
+  'open-vsx': { type: 'open-vsx' }
+};
+
+class ExtensionManager {
+  constructor(cacheDir, isDryRun = false, galleries = {}, policy = new VersionPolicy()) {
+    this.logger = new Logger('Extensions');
+    this.errors = new ErrorHandler();
+    this.verifier = new VsixVerifier();
+    this.cacheDir = cacheDir;
+    this.isDryRun = isDryRun;
+    this.policy = policy;
+    this.sources = {};
+
+    const definitions = { ...BUILTIN_GALLERIES };
+    for (const [id, definition] of Object.entries(galleries)) {
+      definitions[id] = { ...(BUILTIN_GALLERIES[id] || {}), ...definition };
+    }
+
+    for (const [id, definition] of Object.entries(definitions)) {
+      const Source = SOURCE_TYPES[definition.type];
+      this.sources[id] = new Source(id, definition.url ? { url: definition.url } : {});
+    }
+  }
+
+  getSource(galleryId) {
+    const source = this.sources[galleryId];
+    if (!source) {
+      throw new Error(`Unknown extension gallery: ${galleryId}`);
+    }
+    return source;
+  }
+
+  /**
+   * The preferred gallery first, then every other configured gallery
+   */
+  getGalleryOrder(preferred) {
+    return [preferred, ...Object.keys(this.sources).filter(id => id !== preferred)];
+  }
+
+  /**
+   * Looks up the latest version of every extension tool for each requested gallery.
+   * Each gallery is queried at most once per release channel (batched where the backend
+   * supports it); an extension missing from a gallery falls back to the next one.
+   * Returns { [toolId]: { [galleryId]: { version, latest, gallery, cachedAt } | { error } } },
+   * where "version" is the newest version the tool's policy allows (null if none), "latest"
+   * the newest one in the tool's channel, "gallery" the gallery they were actually found in
+   * and "cachedAt" set when they come from the lookup cache unconfirmed.
+   */
+  async getLatestVersions(tools, galleryIds) {
+    const results = {};
+    if (tools.length === 0) return results;
+
+    const lookups = {};
+    const lookup = (sourceId, channel) => {
+      const key = `${sourceId}:${channel}`;
+      if (!lookups[key]) {
+        const channelTools = tools.filter(tool => this.policy.getChannel(tool.id) === channel);
+        lookups[key] = this.lookupLatestVersions(this.getSource(sourceId), channelTools, channel);
+      }
+      return lookups[key];
+    };
+
+    for (const tool of tools) {
+      results[tool.id] = {};
+    }
+
+    // Every gallery/tool pair is resolved side by side; pairs share the gallery lookups
+    const pairs = [...new Set(galleryIds)].flatMap(galleryId => tools.map(tool => ({ galleryId, tool })));
+    await Concurrency.map(pairs, async ({ galleryId, tool }) => {
+      const order = this.getGalleryOrder(galleryId);
+
+      let found = null;
+      for (const sourceId of order) {
+        const hit = (await lookup(sourceId, this.policy.getChannel(tool.id)))[tool.extensionId.toLowerCase()];
+        if (hit) {
+          found = { ...hit, gallery: sourceId };
+          break;
+        }
+      }
+
+      if (found) {
+        const fallback = found.gallery !== galleryId ? ` (via ${this.getSource(found.gallery).name})` : '';
+        this.logger.info(`Latest ${tool.name} version for ${this.getSource(galleryId).name}: ${found.version}${fallback}`);
+        results[tool.id][galleryId] = await this.applyPolicy(tool, found);
+      } else if (LookupCache.isOffline()) {
+        results[tool.id][galleryId] = { error: new OfflineError(`The latest version of ${tool.extensionId}`).message };
+      } else {
+        results[tool.id][galleryId] = {
+          error: `${tool.extensionId} not found in ${order.map(id => this.getSource(id).name).join(', ')}`
+        };
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Latest versions of the tools in one gallery and channel, as { [lowercased extensionId]:
+   * { version, cachedAt } }. Only extensions without a fresh cache entry are requested;
+   * those the gallery does not answer for keep their previous entry.
+   */
+  async lookupLatestVersions(source, channelTools, channel) {
+    const found = {};
+    const missing = [];
+
+    for (const tool of channelTools) {
+      const id = tool.extensionId.toLowerCase();
+      const entry = LookupCache.get(this.getCacheKey(source.id, id, channel));
+      if (entry && (LookupCache.isOffline() || LookupCache.isFresh(entry))) {
+        found[id] = { version: entry.value, cachedAt: LookupCache.isOffline() ? entry.fetchedAt : null };
+      } else {
+        missing.push(tool);
+      }
+    }
+    if (missing.length === 0 || LookupCache.isOffline()) return found;
+
+    const label = channel === 'stable' ? '' : ` (${channel})`;
+    this.logger.info(`Fetching latest versions of ${missing.map(t => t.name).join(', ')}${label} from ${source.name}...`);
+    const versions = await source.getLatestVersions(missing.map(tool => tool.extensionId), channel).catch((error) => {
+      this.logger.warn(`${source.name} lookup failed: ${this.errors.getUserMessage(error)}`);
+      return {};
+    });
+
+    for (const tool of missing) {
+      const id = tool.extensionId.toLowerCase();
+      const key = this.getCacheKey(source.id, id, channel);
+      if (versions[id]) {
+        LookupCache.set(key, versions[id]);
+        found[id] = { version: versions[id], cachedAt: null };
+      } else {
+        const entry = LookupCache.get(key);
+        if (entry) found[id] = { version: entry.value, cachedAt: entry.fetchedAt };
+      }
+    }
+    return found;
+  }
+
+  getCacheKey(galleryId, extensionId, channel) {
+    return `${galleryId}:${extensionId.toLowerCase()}@${channel}`;
+  }
+
+  /**
+   * Narrows a gallery lookup to the newest version the tool's policy allows. Only tools
+   * with a policy pay for the full version list, and only when the latest is not allowed.
+   */
+  async applyPolicy(tool, found) {
+    const result = { version: found.version, latest: found.version, gallery: found.gallery, cachedAt: found.cachedAt };
+    if (this.policy.isAllowed(tool.id, found.version)) return result;
+
+    const channel = this.policy.getChannel(tool.id);
+    try {
+      const { value: versions, cachedAt } = await LookupCache.remember(
+        `${this.getCacheKey(found.gallery, tool.extensionId, channel)}:versions`,
+        `The version list of ${tool.extensionId}`,
+        () => this.getSource(found.gallery).getVersions(tool.extensionId, channel)
+      );
+      result.version = this.policy.selectVersion(tool.id, versions, found.version);
+      result.cachedAt = result.cachedAt || cachedAt;
+      this.logger.info(`${tool.name} policy (${this.policy.describe(tool.id)}): ${result.version || 'no allowed version published'}`);
+      return result;
+    } catch (error) {
+      return { error: `Could not list ${tool.extensionId} versions: ${this.errors.getUserMessage(error)}` };
+    }
+  }
+
+  getVsixPath(extensionId, version) {
+    return path.join(this.cacheDir, `${extensionId.toLowerCase()}-${version}.vsix`);
+  }
+
+  /**
+   * Path of a previously downloaded VSIX, or null when it is not cached
+   */
+  getCachedVsix(extensionId, version) {
+    const filePath = this.getVsixPath(extensionId, version);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Downloads the VSIX from the given gallery, falling back to the others, and verifies it
+   * (see VsixVerifier). Files go into the VSIX cache and are reused when the same version is
+   * requested again, after checking their identity once more.
+   */
+  async downloadVsix(tool, version, galleryId) {
+    const cached = this.getCachedVsix(tool.extensionId, version);
+    if (cached && this.isValidCachedVsix(cached, tool.extensionId, version)) {
+      this.logger.info(`Using cached VSIX for ${tool.name} v${version}`);
+      if (!this.isDryRun) fs.utimesSync(cached, new Date(), new Date());
+      return cached;
+    }
+
+    this.logger.info(`Downloading VSIX for ${tool.name} v${version}...`);
+    const filePath = this.getVsixPath(tool.extensionId, version);
+
+    if (this.isDryRun) {
+      this.logger.warn('DRY RUN: Would download VSIX');
+      return filePath;
+    }
+
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+    for (const sourceId of this.getGalleryOrder(galleryId)) {
+      const source = this.getSource(sourceId);
+      const buffer = await this.fetchVsix(source, tool.extensionId, version);
+      if (buffer) {
+        fs.writeFileSync(filePath, buffer);
+        this.logger.success(`Downloaded from ${source.name} (${(buffer.length / 1024 / 1024).toFixed(2)} MB)`);
+        return filePath;
+      }
+    }
+
+    throw new Error(`Download of ${tool.extensionId}@${version} failed from all galleries`);
+  }
+
+  /**
+   * Whether a cached VSIX is still the requested extension and version; damaged or
+   * mismatched files are removed so they are downloaded again
+   */
+  isValidCachedVsix(filePath, extensionId, version) {
+    try {
+      this.verifier.verify(fs.readFileSync(filePath), { extensionId, version });
+      return true;
+    } catch (error) {
+      this.logger.warn(`Discarding cached ${path.basename(filePath)}: ${error.message}`);
+      if (!this.isDryRun) fs.rmSync(filePath, { force: true });
+      return false;
+    }
+  }
+
+  /**
+   * Keeps only the most recently used VSIX files of an extension
+   */
+  pruneVsixCache(extensionId, keep = MAX_CACHED_VSIX) {
+    if (this.isDryRun || !fs.existsSync(this.cacheDir)) return;
+
+    const prefix = `${extensionId.toLowerCase()}-`;
+    const files = fs.readdirSync(this.cacheDir)
+      .filter(name => name.startsWith(prefix) && name.endsWith('.vsix') && /^\d/.test(name.slice(prefix.length)))
+      .map(name => ({ name, mtime: fs.statSync(path.join(this.cacheDir, name)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+
+    for (const { name } of files.slice(keep)) {
+      try {
+        fs.unlinkSync(path.join(this.cacheDir, name));
+        this.logger.info(`Removed cached ${name}`);
+      } catch (error) {
+        this.logger.warn(`Could not remove cached ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * The verified VSIX as a buffer, or null when the gallery does not have it, keeps failing
+   * or serves something else. The whole download is retried, as a connection can also drop
+   * halfway through the body.
+   */
+  async fetchVsix(source, extensionId, version) {
+    let url;
+    try {
+      url = await source.getDownloadUrl(extensionId, version);
+    } catch (error) {
+      this.logger.error(`${source.name} lookup of ${extensionId}@${version} failed: ${this.errors.getUserMessage(error)}`);
+      return null;
+    }
+    if (!url) {
+      this.logger.warn(`${extensionId}@${version} not available from ${source.name}`);
+      return null;
+    }
+
+    const integrity = await source.getIntegrity(extensionId, version).catch((error) => {
+      this.logger.warn(`No ${source.name} digest for ${extensionId}@${version}: ${this.errors.getUserMessage(error)}`);
+      return null;
+    });
+
+    try {
+      return await this.errors.withRetry(async () => {
+        const response = await HttpClient.fetch(url, {
+          headers: source.getDownloadHeaders(),
+          timeout: 60000,
+          retry: false
+        });
+
+        // Not published in this gallery; retrying will not help
+        if (response.status === 404) {
+          this.logger.warn(`${extensionId}@${version} not available from ${source.name}`);
+          return null;
+        }
+        if (!response.ok) {
+          const error = new Error(`${source.name} download failed: ${response.status}`);
+          error.status = response.status;
+          throw error;
+        }
+
+        const buffer = await response.buffer();
+        const checks = this.verifier.verify(buffer, { extensionId, version, integrity });
+        this.logger.info(`Verified ${extensionId}@${version}: ${checks.join(', ')}`);
+        return buffer;
+      }, { label: `${source.name} download of ${extensionId}@${version}` });
+    } catch (error) {
+      if (error instanceof VsixError) {
+        this.logger.error(`Refusing the ${source.name} download: ${error.message}`);
+      } else {
+        this.logger.error(`${source.name} download failed: ${this.errors.getUserMessage(error)}`);
+      }
+      return null;
+    }
+  }
+}
+
+module.exports = ExtensionManager;
@@ -1,41 +1,57 @@
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const semver = require('semver');
 const Logger = require('../utils/logger');
+const Shell = require('../utils/shell');
+const ErrorHandler = require('../utils/error-handler');
+const Concurrency = require('../utils/concurrency');
+
+// Platform-specific builds install into e.g. augment.vscode-augment-0.480.0-darwin-arm64
+const TARGET_PLATFORM_SUFFIX = /-(?:(?:win32|linux|alpine|darwin)-(?:x64|arm64|armhf|ia32)|web)$/i;
 
 class IDEManager {
-  constructor() {
+  constructor(preferences = {}) {
     this.logger = new Logger('IDE');
+    this.errors = new ErrorHandler();
+    this.preferences = {
+      priority: [],
+      installInAllIDEs: false,
+      preferredIDE: 'auto',
+      galleries: {},
+      ...preferences
+    };
     this.supportedIDEs = {
       cursor: {
         name: 'Cursor',
         commands: {
-          listExtensions: '--list-extensions --show-versions',
-          installExtension: '--install-extension',
-          version: '--version'
+          listExtensions: ['--list-extensions', '--show-versions'],
+          installExtension: ['--install-extension'],
+          version: ['--version']
         },
         envVar: 'CURSOR_PATH',
+        gallery: 'open-vsx',
         priority: 1
       },
       vscode: {
         name: 'VS Code',
         commands: {
-          listExtensions: '--list-extensions',
-          installExtension: '--install-extension',
-          version: '--version'
+          listExtensions: ['--list-extensions'],
+          installExtension: ['--install-extension'],
+          version: ['--version']
         },
         envVar: 'VSCODE_PATH',
+        gallery: 'marketplace',
         priority: 2
       },
       antigravity: {
         name: 'Antigravity',
         commands: {
-          listExtensions: '--list-extensions --show-versions',
-          installExtension: '--install-extension',
-          version: '--version'
+          listExtensions: ['--list-extensions', '--show-versions'],
+          installExtension: ['--install-extension'],
+          version: ['--version']
         },
         envVar: 'ANTIGRAVITY_PATH',
+        gallery: 'open-vsx',
         priority: 3
       }
     };
@@ -47,20 +63,64 @@ class IDEManager {
     };
 
     this.detectedIDEs = [];
+    this.extensionListCache = new Map();
+    this.applyPriority(this.preferences.priority);
+
+    // Gallery each IDE installs extensions from (idePreferences.galleries overrides)
+    for (const [ide, gallery] of Object.entries(this.preferences.galleries)) {
+      if (this.supportedIDEs[ide]) this.supportedIDEs[ide].gallery = gallery;
+    }
+  }
+
+  /**
+   * IDEs listed in idePreferences.priority come first, in that order; the rest keep
+   * their built-in order after them
+   */
+  applyPriority(order) {
+    for (const [ide, config] of Object.entries(this.supportedIDEs)) {
+      const index = order.indexOf(ide);
+      config.priority = index >= 0 ? index + 1 : order.length + config.priority;
+    }
+  }
+
+  /**
+   * Galleries used by the detected IDEs
+   */
+  getDetectedGalleries() {
+    return [...new Set(this.detectedIDEs.map(({ config }) => config.gallery))];
   }
 
-  detectAvailableIDEs() {
+  /**
+   * Narrows IDE targets for unattended updates according to installInAllIDEs/preferredIDE.
+   * Candidates are expected in priority order, as returned by scanForExtension().
+   */
+  selectTargets(candidates) {
+    const { installInAllIDEs, preferredIDE } = this.preferences;
+    if (installInAllIDEs || candidates.length <= 1) return candidates;
+
+    if (preferredIDE !== 'auto') {
+      const preferred = candidates.filter(c => c.ide === preferredIDE);
+      if (preferred.length > 0) return preferred;
+      this.logger.warn(`Preferred IDE "${preferredIDE}" not detected, using ${candidates[0].config.name}`);
+    }
+
+    return [candidates[0]];
+  }
+
+  /**
+   * Probes every supported IDE side by side; the result is sorted by priority
+   */
+  async detectAvailableIDEs() {
     this.logger.info('Detecting available IDEs...');
-    const available = [];
+    this.extensionListCache.clear();
 
-    for (const [ide, config] of Object.entries(this.supportedIDEs)) {
+    const probes = await Concurrency.map(Object.entries(this.supportedIDEs), async ([ide, config]) => {
       try {
         let command = process.env[config.envVar] || ide;
         let detected = false;
 
         try {
-          execSync(`${command} ${config.commands.version}`, {
-            stdio: 'ignore',
+          await Shell.run([command, ...config.commands.version], {
             timeout: 10000,
             env: { ...process.env, DISPLAY: process.env.DISPLAY || ':0' }
           });
@@ -68,7 +128,7 @@ class IDEManager {
         } catch (cliError) {
           if (process.platform === 'darwin' && this.macPaths[ide]) {
             if (fs.existsSync(this.macPaths[ide])) {
-              command = `"${this.macPaths[ide]}"`;
+              command = this.macPaths[ide];
               detected = true;
               this.logger.success(`${config.name} detected at ${this.macPaths[ide]}`);
             }
@@ -84,15 +144,16 @@ class IDEManager {
         }
 
         if (detected) {
-          available.push({ ide, config, command, priority: config.priority });
           this.logger.success(`${config.name} detected`);
+          return { ide, config, command, priority: config.priority };
         }
       } catch (error) {
-        this.logger.warn(`${config.name} detection failed: ${error.message}`);
+        this.logger.warn(`${config.name} detection failed: ${this.errors.getUserMessage(error)}`);
       }
-    }
+      return null;
+    });
 
-    available.sort((a, b) => a.priority - b.priority);
+    const available = probes.filter(Boolean).sort((a, b) => a.priority - b.priority);
     this.detectedIDEs = available;
 
     if (available.length > 0) {
@@ -116,12 +177,12 @@ class IDEManager {
     try {
       if (fs.existsSync(extensionDir)) {
         const extensions = fs.readdirSync(extensionDir);
-        const prefix = `${extensionId}-`;
-        const augmentFolders = extensions.filter(folder => folder.startsWith(prefix));
+        const prefix = `${extensionId}-`.toLowerCase();
+        const extensionFolders = extensions.filter(folder => folder.toLowerCase().startsWith(prefix));
 
-        if (augmentFolders.length > 0) {
-          const versions = augmentFolders
-            .map(folder => folder.replace(prefix, ''))
+        if (extensionFolders.length > 0) {
+          const versions = extensionFolders
+            .map(folder => this.getFolderVersion(folder, prefix))
             .filter(v => semver.valid(v))
             .sort((a, b) => semver.rcompare(a, b));
 
@@ -136,10 +197,166 @@ class IDEManager {
     return null;
   }
 
-  async scanForExtension(extensionId) {
-    const results = [];
+  /**
+   * Version part of an extension folder name, without a target-platform suffix
+   */
+  getFolderVersion(folder, prefix) {
+    return folder.slice(prefix.length).replace(TARGET_PLATFORM_SUFFIX, '');
+  }
+
+  /**
+   * Health check after an install: the IDE's extensions folder must hold
+   * <extensionId>-<version> (plus a platform suffix for platform-specific builds) with a
+   * package.json naming that extension and version. Returns what is wrong, or null.
+   */
+  checkExtensionFolder(ide, extensionId, version) {
+    const extensionDir = this.getExtensionPath(ide);
+    if (!extensionDir) return null;
+
+    const prefix = `${extensionId}-${version}`.toLowerCase();
+    let folders;
+    try {
+      folders = fs.readdirSync(extensionDir).filter(folder =>
+        folder.toLowerCase() === prefix || folder.toLowerCase().startsWith(`${prefix}-`));
+    } catch (error) {
+      folders = [];
+    }
+    if (folders.length === 0) return `no ${extensionId}-${version} folder in ${extensionDir}`;
+
+    for (const folder of folders) {
+      try {
+        const manifest = JSON.parse(fs.readFileSync(path.join(extensionDir, folder, 'package.json'), 'utf8'));
+        if (`${manifest.publisher}.${manifest.name}`.toLowerCase() === extensionId.toLowerCase() && manifest.version === version) {
+          return null;
+        }
+      } catch (error) {
+        // Missing or unreadable; another folder may still match
+      }
+    }
+    return `${path.join(extensionDir, folders[0])} has no matching package.json (expected ${extensionId} ${version})`;
+  }
+
+  /**
+   * Folders of older versions an IDE keeps after updating an extension. Only folders that
+   * extensions.json, the IDE's own list of installed extensions, does not point to count as
+   * obsolete. Returns null when the IDE has no folder of the extension, or
+   * { extensionDir, inUse, obsolete: [{ folder, path, version, bytes }], skipped } where
+   * skipped explains why nothing is known to be unused (no extensions.json, or one that
+   * does not list the extension).
+   */
+  findObsoleteExtensionFolders(ide, extensionId) {
+    const extensionDir = this.getExtensionPath(ide);
+    const prefix = `${extensionId}-`.toLowerCase();
+    let folders;
+    try {
+      // A digit after the prefix keeps e.g. "augment.vscode-augment-nightly" out
+      folders = fs.readdirSync(extensionDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name.toLowerCase().startsWith(prefix) && /^\d/.test(entry.name.slice(prefix.length)))
+        .map(entry => entry.name);
+    } catch (error) {
+      return null;
+    }
+    if (folders.length === 0) return null;
+
+    const result = { extensionDir, inUse: [], obsolete: [], skipped: null };
+    const referenced = this.readExtensionsJson(extensionDir);
+    if (!referenced) {
+      result.skipped = `no readable extensions.json in ${extensionDir}`;
+      return result;
+    }
+
+    for (const folder of folders) {
+      if (referenced.has(folder.toLowerCase())) {
+        result.inUse.push(folder);
+      } else {
+        const folderPath = path.join(extensionDir, folder);
+        result.obsolete.push({ folder, path: folderPath, version: this.getFolderVersion(folder, prefix), bytes: this.getDiskUsage(folderPath) });
+      }
+    }
+    if (result.inUse.length === 0) {
+      result.skipped = `extensions.json does not list ${extensionId}`;
+      result.obsolete = [];
+    }
+    return result;
+  }
+
+  /**
+   * Lower-cased names of the folders extensions.json points to, or null when it is
+   * missing or unreadable. Entries name their folder in relativeLocation; older ones only
+   * have location.fsPath or location.path.
+   */
+  readExtensionsJson(extensionDir) {
+    let entries;
+    try {
+      entries = JSON.parse(fs.readFileSync(path.join(extensionDir, 'extensions.json'), 'utf8'));
+    } catch (error) {
+      this.logger.debug(`No extensions.json in ${extensionDir}: ${error.message}`);
+      return null;
+    }
+    if (!Array.isArray(entries)) return null;
+
+    return new Set(entries
+      .map(entry => entry?.relativeLocation || (entry?.location?.fsPath || entry?.location?.path || '').split(/[\\/]/).pop())
+      .filter(Boolean)
+      .map(folder => folder.toLowerCase()));
+  }
+
+  /**
+   * Bytes used by the files below a folder; symbolic links are not followed
+   */
+  getDiskUsage(target) {
+    let stats;
+    try {
+      stats = fs.lstatSync(target);
+    } catch (error) {
+      return 0;
+    }
+    if (!stats.isDirectory()) return stats.size;
+
+    let total = 0;
+    try {
+      for (const name of fs.readdirSync(target)) total += this.getDiskUsage(path.join(target, name));
+    } catch (error) {
+      // Unreadable folders count as empty
+    }
+    return total;
+  }
+
+  /**
+   * Deletes an obsolete extension folder, retrying while an IDE or a sync client
+   * still holds files in it
+   */
+  async removeExtensionFolder(folderPath) {
+    try {
+      await this.errors.withRetry(async () => fs.rmSync(folderPath, { recursive: true, force: true }), {
+        label: `Removing ${folderPath}`
+      });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: this.errors.getUserMessage(error) };
+    }
+  }
 
-    for (const { ide, config, command } of this.detectedIDEs) {
+  /**
+   * Runs the IDE's --list-extensions once per detection and reuses the output
+   * for every extension scanned, including scans running at the same time;
+   * resolves to null when the CLI is unavailable
+   */
+  listExtensions(ide, config, command) {
+    if (!this.extensionListCache.has(ide)) {
+      const list = () => Shell.run([command, ...config.commands.listExtensions], { timeout: 10000 });
+      this.extensionListCache.set(ide, this.errors.withRetry(list, { label: `${config.name} extension list` })
+        .catch(() => null));
+    }
+
+    return this.extensionListCache.get(ide);
+  }
+
+  /**
+   * Installed version of an extension in each detected IDE, checking the IDEs side by side
+   */
+  async scanForExtension(extensionId) {
+    return Concurrency.map(this.detectedIDEs, async ({ ide, config, command }) => {
       let version = null;
       try {
         const extensionDir = this.getExtensionPath(ide);
@@ -147,29 +364,20 @@ class IDEManager {
           version = await this.getExtensionVersionFromDir(extensionDir, extensionId);
         }
 
-        if (!version) {
-          try {
-            const output = execSync(`${command} ${config.commands.listExtensions}`, {
-              encoding: 'utf8',
-              stdio: ['ignore', 'pipe', 'ignore'],
-              timeout: 10000
-            });
-
-            let match;
-            if (ide === 'cursor' || ide === 'antigravity') {
-              match = output.match(new RegExp(`${extensionId.replace('.', '\\.')}@(\\d+\\.\\d+\\.\\d+)`));
-            } else {
-              if (output.includes(extensionId)) {
-                match = await this.getExtensionVersionFromDir(extensionDir, extensionId);
-                if (!match) match = 'Installed (unknown version)';
-              }
+        const output = version ? null : await this.listExtensions(ide, config, command);
+        if (output) {
+          let match;
+          if (ide === 'cursor' || ide === 'antigravity') {
+            match = output.match(new RegExp(`${extensionId.replace('.', '\\.')}@(\\d+\\.\\d+\\.\\d+)`, 'i'));
+          } else {
+            if (output.toLowerCase().includes(extensionId.toLowerCase())) {
+              match = await this.getExtensionVersionFromDir(extensionDir, extensionId);
+              if (!match) match = 'Installed (unknown version)';
             }
+          }
 
-            if (match) {
-              version = (typeof match === 'string') ? match : match[1];
-            }
-          } catch (cliError) {
-            // CLI failed
+          if (match) {
+            version = (typeof match === 'string') ? match : match[1];
           }
         }
 
@@ -177,16 +385,17 @@ class IDEManager {
           this.logger.success(`Found in ${config.name}: ${version}`);
         }
       } catch (error) {
-        this.logger.warn(`${config.name} check failed: ${error.message}`);
+        this.logger.warn(`${config.name} check failed: ${this.errors.getUserMessage(error)}`);
       }
 
-      results.push({ ide, config, command, version });
-    }
-
-    return results;
+      return { ide, config, command, version };
+    });
   }
 
-  async installExtension(target, vsixPath, isDryRun = false) {
+  /**
+   * Installs a VSIX; "force" lets the IDE replace a newer installed version (rollbacks)
+   */
+  async installExtension(target, vsixPath, isDryRun = false, { force = false } = {}) {
     const { config, command } = target;
     this.logger.info(`Installing extension in ${config.name}...`);
 
@@ -196,15 +405,16 @@ class IDEManager {
     }
 
     try {
-      execSync(`${command} ${config.commands.installExtension} "${vsixPath}"`, {
-        stdio: 'inherit',
+      const install = [command, ...config.commands.installExtension, vsixPath, ...(force ? ['--force'] : [])];
+      await Shell.run(install, {
+        stdio: Logger.getChildStdio(),
         timeout: 60000,
         env: { ...process.env, DISPLAY: process.env.DISPLAY || ':0' }
       });
       this.logger.success(`Installed in ${config.name}`);
       return true;
     } catch (error) {
-      this.logger.error(`Failed to install in ${config.name}: ${error.message}`);
+      this.logger.error(`Failed to install in ${config.name}: ${this.errors.getUserMessage(error)}`);
       return false;
     }
   }
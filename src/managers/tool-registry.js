@@ -0,0 +1,193 @@
+const { ConfigError } = require('../utils/config');
+
+const BUILTIN_TOOLS = [
+  {
+    id: 'augment',
+    kind: 'extension',
+    name: 'Augment',
+    extensionId: 'augment.vscode-augment',
+    description: 'Augment Code - AI coding assistant for VS Code and Cursor',
+    icon: '🔌'
+  },
+  {
+    id: 'claude-code',
+    kind: 'cli',
+    name: 'Claude Code',
+    npmPackage: '@anthropic-ai/claude-code',
+    command: 'claude',
+    description: 'Anthropic Claude Code - agentic coding in your terminal',
+    icon: '🤖',
+    aliases: ['claude']
+  },
+  {
+    id: 'gemini-cli',
+    kind: 'cli',
+    name: 'Gemini CLI',
+    npmPackage: '@google/gemini-cli',
+    command: 'gemini',
+    description: 'Google Gemini CLI - AI agent in your terminal',
+    icon: '💎',
+    aliases: ['gemini']
+  },
+  {
+    id: 'openai-codex',
+    kind: 'cli',
+    name: 'OpenAI Codex',
+    npmPackage: '@openai/codex',
+    command: 'codex',
+    description: 'OpenAI Codex CLI - coding agent in your terminal',
+    icon: '🧠',
+    aliases: ['codex']
+  }
+];
+
+const DEFAULT_ICONS = { cli: '🔧', extension: '🔌' };
+// Checks after an update of a built-in tool: CLIs run their command with these arguments,
+// extensions need their new folder with a matching package.json. Tools from config.json
+// are only checked when they set "healthCheck", as not every command has a --version.
+const DEFAULT_HEALTH_CHECKS = { cli: ['--version'], extension: true };
+const BUILTIN_IDS = new Set(BUILTIN_TOOLS.map(tool => tool.id));
+const TOOL_FIELDS = ['id', 'kind', 'name', 'npmPackage', 'command', 'extensionId', 'description', 'icon', 'aliases', 'enabled', 'healthCheck'];
+
+/**
+ * Built-in tools plus the "tools" and "extensions" entries from config.json. A config
+ * entry with a built-in id overrides that tool's fields; "enabled": false hides a tool.
+ */
+class ToolRegistry {
+  constructor(userTools = [], extensionIds = []) {
+    this.tools = this.build(userTools, extensionIds);
+  }
+
+  build(userTools, extensionIds) {
+    const byId = new Map(BUILTIN_TOOLS.map(tool => [tool.id, { ...tool }]));
+    const issues = [];
+
+    userTools.forEach((entry, index) => {
+      const where = `tools[${index}]${entry && entry.id ? ` (${entry.id})` : ''}`;
+      const unknown = Object.keys(entry).filter(key => !TOOL_FIELDS.includes(key));
+      unknown.forEach(key => issues.push(`Unknown setting "${key}" in ${where}`));
+
+      if (typeof entry.id !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/.test(entry.id)) {
+        issues.push(`${where}: "id" must be a lowercase identifier such as "amp" or "copilot"`);
+        return;
+      }
+
+      const tool = { ...(byId.get(entry.id) || {}), ...entry };
+      issues.push(...this.validateTool(tool).map(problem => `${where}: ${problem}`));
+      byId.set(tool.id, tool);
+    });
+
+    if (issues.length > 0) {
+      throw new ConfigError('Invalid tool definitions in configuration:', issues);
+    }
+
+    // Plain extension ids are shorthand for an extension tool named after the id
+    for (const extensionId of extensionIds) {
+      const known = [...byId.values()].some(tool =>
+        tool.kind === 'extension' && tool.extensionId.toLowerCase() === extensionId.toLowerCase()
+      );
+      if (!known) {
+        const id = extensionId.toLowerCase();
+        byId.set(id, { id, kind: 'extension', name: extensionId, extensionId });
+      }
+    }
+
+    const tools = [...byId.values()]
+      .filter(tool => tool.enabled !== false)
+      .map(tool => ({
+        name: tool.id,
+        description: '',
+        icon: DEFAULT_ICONS[tool.kind],
+        aliases: [],
+        healthCheck: BUILTIN_IDS.has(tool.id) ? DEFAULT_HEALTH_CHECKS[tool.kind] : false,
+        ...tool
+      }));
+
+    this.checkAliases(tools);
+    return tools;
+  }
+
+  validateTool(tool) {
+    const problems = [];
+
+    if (tool.kind === 'cli') {
+      if (typeof tool.npmPackage !== 'string' || !tool.npmPackage) problems.push('"npmPackage" is required for CLI tools');
+      if (typeof tool.command !== 'string' || !tool.command) problems.push('"command" is required for CLI tools');
+    } else if (tool.kind === 'extension') {
+      if (typeof tool.extensionId !== 'string' || !/^[\w-]+\.[\w-]+$/.test(tool.extensionId)) {
+        problems.push('"extensionId" must look like "publisher.extension-name"');
+      }
+    } else {
+      problems.push('"kind" must be "cli" or "extension"');
+    }
+
+    if (tool.aliases !== undefined && !(Array.isArray(tool.aliases) && tool.aliases.every(a => typeof a === 'string'))) {
+      problems.push('"aliases" must be an array of strings');
+    }
+    if (tool.enabled !== undefined && typeof tool.enabled !== 'boolean') {
+      problems.push('"enabled" must be true or false');
+    }
+    if (tool.healthCheck !== undefined && tool.healthCheck !== false) {
+      const valid = tool.kind === 'cli'
+        ? Array.isArray(tool.healthCheck) && tool.healthCheck.every(arg => typeof arg === 'string')
+        : tool.healthCheck === true;
+      if (!valid) {
+        problems.push(tool.kind === 'cli'
+          ? '"healthCheck" must be the arguments to run the command with, e.g. ["--version"], or false'
+          : '"healthCheck" must be true or false');
+      }
+    }
+
+    return problems;
+  }
+
+  checkAliases(tools) {
+    const ids = new Set(tools.map(tool => tool.id));
+    const seen = new Map();
+    const issues = [];
+
+    for (const tool of tools) {
+      for (const alias of tool.aliases) {
+        if (ids.has(alias) || seen.has(alias)) {
+          issues.push(`Alias "${alias}" of ${tool.id} is already used by ${seen.get(alias) || alias}`);
+        }
+        seen.set(alias, tool.id);
+      }
+    }
+
+    if (issues.length > 0) {
+      throw new ConfigError('Invalid tool definitions in configuration:', issues);
+    }
+  }
+
+  getTools(kind = null) {
+    return kind ? this.tools.filter(tool => tool.kind === kind) : [...this.tools];
+  }
+
+  getTool(id) {
+    return this.tools.find(tool => tool.id === id) || null;
+  }
+
+  getToolIds() {
+    return this.tools.map(tool => tool.id);
+  }
+
+  getAliases() {
+    const aliases = {};
+    this.tools.forEach(tool => tool.aliases.forEach(alias => { aliases[alias] = tool.id; }));
+    return aliases;
+  }
+
+  /**
+   * Maps a tool id or alias to its id; throws for names that are not registered
+   */
+  resolveId(name) {
+    const id = this.getAliases()[name] || name;
+    if (!this.getTool(id)) {
+      throw new Error(`Unknown tool: ${name} (expected one of: ${this.getToolIds().join(', ')})`);
+    }
+    return id;
+  }
+}
+
+module.exports = ToolRegistry;
@@ -0,0 +1,64 @@
+const Shell = require('../utils/shell');
+const semver = require('semver');
+const NodePackageManager = require('./node-package-manager');
+
+// ~/.local/share/claude/versions/<version> (native build) or ~/.claude/local (local npm install)
+const NATIVE_PATH = /[\\/]claude[\\/]versions[\\/]([^\\/]+)$/;
+const LOCAL_PATH = /[\\/]\.claude[\\/]local[\\/]/;
+
+/**
+ * Claude Code's own installer (`claude install`), which manages the native build
+ * and the older per-user "local" npm install outside of any global package manager
+ */
+class ClaudeNativeInstaller {
+  constructor() {
+    this.id = 'claude-native';
+    this.name = 'Claude installer';
+  }
+
+  owns(realPath) {
+    return NATIVE_PATH.test(realPath) || LOCAL_PATH.test(realPath);
+  }
+
+  async inspect(tool, binPath, realPath) {
+    const native = realPath.match(NATIVE_PATH);
+    if (native && semver.valid(native[1])) {
+      return { version: native[1], local: false };
+    }
+
+    const manifest = NodePackageManager.findPackageJson(tool.npmPackage, [realPath, binPath]);
+    if (manifest) {
+      return { version: manifest.version, local: LOCAL_PATH.test(realPath) };
+    }
+
+    // e.g. "1.0.44 (Claude Code)"
+    try {
+      const output = await Shell.run([binPath, '--version']);
+      const version = semver.coerce(output)?.version;
+      return version ? { version, local: LOCAL_PATH.test(realPath) } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * The local install can only follow the latest release; the native one installs any version
+   */
+  canInstallVersion(installation) {
+    return !installation.local;
+  }
+
+  getUpdateCommand(tool, version, installation) {
+    const command = installation.binPath || tool.command;
+    return installation.local ? [command, 'update'] : [command, 'install', version];
+  }
+
+  /**
+   * The installer has no uninstall command; its files have to be removed by hand
+   */
+  getRemoveCommand() {
+    return null;
+  }
+}
+
+module.exports = ClaudeNativeInstaller;
@@ -0,0 +1,57 @@
+const Shell = require('../utils/shell');
+
+const KEG_PATH = /[\\/](Cellar|Caskroom)[\\/]([^\\/]+)[\\/]([^\\/]+)[\\/]/;
+
+/**
+ * Homebrew formulae (Cellar) and casks (Caskroom). Brew always installs its own current
+ * version, so the latest version comes from `brew info` rather than the npm registry.
+ */
+class Homebrew {
+  constructor() {
+    this.id = 'brew';
+    this.name = 'Homebrew';
+  }
+
+  owns(realPath) {
+    return KEG_PATH.test(realPath);
+  }
+
+  /**
+   * { version, formula, cask } from the keg path, e.g. /opt/homebrew/Cellar/gemini-cli/0.1.9_1/...
+   */
+  inspect(tool, binPath, realPath) {
+    const match = realPath.match(KEG_PATH);
+    if (!match) return null;
+
+    return {
+      version: match[3].replace(/_\d+$/, ''),
+      formula: match[2],
+      cask: match[1] === 'Caskroom'
+    };
+  }
+
+  canInstallVersion() {
+    return false;
+  }
+
+  async getLatestVersion(tool, installation) {
+    const output = await Shell.run(['brew', 'info', '--json=v2', installation.cask ? '--cask' : '--formula', installation.formula], { timeout: 60000 });
+
+    const data = JSON.parse(output);
+    const version = installation.cask
+      ? data.casks?.[0]?.version
+      : data.formulae?.[0]?.versions?.stable;
+    if (!version) throw new Error(`brew info returned no version for ${installation.formula}`);
+    return version.split(',')[0];
+  }
+
+  getUpdateCommand(tool, version, installation) {
+    return ['brew', 'upgrade', ...(installation.cask ? ['--cask'] : []), installation.formula];
+  }
+
+  getRemoveCommand(tool, installation) {
+    return ['brew', 'uninstall', ...(installation.cask ? ['--cask'] : []), installation.formula];
+  }
+}
+
+module.exports = Homebrew;
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+
+// How each manager lays out global installs and how it installs and removes a global
+// package. Checked in this order; npm comes last because every layout contains node_modules.
+const NODE_MANAGERS = {
+  pnpm: {
+    name: 'pnpm',
+    pathPattern: /[\\/]pnpm[\\/]/i,
+    installCommand: ['pnpm', 'add', '-g'],
+    removeCommand: ['pnpm', 'remove', '-g']
+  },
+  yarn: {
+    name: 'Yarn',
+    pathPattern: /[\\/](\.?yarn[\\/]global|\.yarn[\\/]bin|Yarn[\\/](Data[\\/]global|bin))[\\/]/i,
+    installCommand: ['yarn', 'global', 'add'],
+    removeCommand: ['yarn', 'global', 'remove']
+  },
+  bun: {
+    name: 'Bun',
+    pathPattern: /[\\/]\.bun[\\/]/,
+    installCommand: ['bun', 'add', '-g'],
+    removeCommand: ['bun', 'remove', '-g']
+  },
+  volta: {
+    name: 'Volta',
+    pathPattern: /[\\/]\.?volta[\\/]/i,
+    installCommand: ['volta', 'install'],
+    removeCommand: ['volta', 'uninstall']
+  },
+  npm: {
+    name: 'npm',
+    pathPattern: /[\\/]node_modules[\\/]|[\\/]npm[\\/][^\\/]+$/,
+    installCommand: ['npm', 'install', '-g'],
+    removeCommand: ['npm', 'uninstall', '-g'],
+    // Installs into the prefix the package was found in, not the one of the npm on PATH
+    usesPrefix: true
+  }
+};
+
+/**
+ * A Node.js package manager with global installs (npm, pnpm, Yarn classic, Bun).
+ * Versions are read from the package.json next to the resolved command.
+ */
+class NodePackageManager {
+  constructor(id) {
+    const definition = NODE_MANAGERS[id];
+    this.id = id;
+    this.name = definition.name;
+    this.pathPattern = definition.pathPattern;
+    this.installCommand = definition.installCommand;
+    this.removeCommand = definition.removeCommand;
+    this.usesPrefix = Boolean(definition.usesPrefix);
+  }
+
+  static getIds() {
+    return Object.keys(NODE_MANAGERS);
+  }
+
+  owns(realPath) {
+    return this.pathPattern.test(realPath);
+  }
+
+  /**
+   * { version, prefix } of the package the command belongs to, or null when it is not found
+   */
+  inspect(tool, binPath, realPath) {
+    const found = NodePackageManager.findPackage(tool.npmPackage, [realPath, binPath]);
+    if (!found) return null;
+
+    const prefix = this.usesPrefix ? NodePackageManager.getPrefix(found.packageDir, tool.npmPackage) : null;
+    return { version: found.manifest.version, prefix };
+  }
+
+  canInstallVersion() {
+    return true;
+  }
+
+  /**
+   * Command (program and arguments, for Shell.run()) installing the package at version
+   */
+  getUpdateCommand(tool, version, installation = {}) {
+    return [...this.installCommand, ...this.getPrefixArgs(installation), `${tool.npmPackage}@${version}`];
+  }
+
+  getRemoveCommand(tool, installation = {}) {
+    return [...this.removeCommand, ...this.getPrefixArgs(installation), tool.npmPackage];
+  }
+
+  getPrefixArgs(installation) {
+    return this.usesPrefix && installation.prefix ? ['--prefix', installation.prefix] : [];
+  }
+
+  /**
+   * Global prefix a package directory belongs to: <prefix>/lib/node_modules/<package>,
+   * or <prefix>/node_modules/<package> on Windows. Null for other layouts.
+   */
+  static getPrefix(packageDir, npmPackage) {
+    const modulesDir = path.resolve(packageDir, ...npmPackage.split('/').map(() => '..'));
+    if (path.basename(modulesDir) !== 'node_modules') return null;
+
+    const parent = path.dirname(modulesDir);
+    if (process.platform === 'win32') return parent;
+    return path.basename(parent) === 'lib' ? path.dirname(parent) : null;
+  }
+
+  static findPackageJson(npmPackage, filePaths) {
+    const found = NodePackageManager.findPackage(npmPackage, filePaths);
+    return found ? found.manifest : null;
+  }
+
+  /**
+   * Looks for the package's package.json above each path (symlinked bins) and in the
+   * node_modules folders next to it (shims: prefix/bin → prefix/lib/node_modules).
+   * Returns { manifest, packageDir } or null.
+   */
+  static findPackage(npmPackage, filePaths) {
+    const candidates = [];
+
+    for (const filePath of filePaths.filter(Boolean)) {
+      let dir = path.dirname(filePath);
+      for (let depth = 0; depth < 8 && dir !== path.dirname(dir); depth++) {
+        candidates.push(path.join(dir, 'package.json'));
+        dir = path.dirname(dir);
+      }
+
+      const binDir = path.dirname(filePath);
+      candidates.push(
+        path.join(binDir, 'node_modules', npmPackage, 'package.json'),
+        path.join(binDir, '..', 'lib', 'node_modules', npmPackage, 'package.json'),
+        path.join(binDir, '..', 'install', 'global', 'node_modules', npmPackage, 'package.json'),
+        // Volta shims: <VOLTA_HOME>/bin → <VOLTA_HOME>/tools/image/packages/<package>
+        path.join(binDir, '..', 'tools', 'image', 'packages', npmPackage, 'lib', 'node_modules', npmPackage, 'package.json'),
+        path.join(binDir, '..', 'tools', 'image', 'packages', npmPackage, 'node_modules', npmPackage, 'package.json'),
+        // pnpm keeps global packages in <PNPM_HOME>/global/<layout version>/node_modules
+        ...NodePackageManager.listDirs(path.join(binDir, 'global'))
+          .map(dir => path.join(dir, 'node_modules', npmPackage, 'package.json'))
+      );
+    }
+
+    for (const candidate of candidates) {
+      try {
+        const manifest = JSON.parse(fs.readFileSync(candidate, 'utf8'));
+        if (manifest.name === npmPackage && manifest.version) {
+          return { manifest, packageDir: path.dirname(candidate) };
+        }
+      } catch (error) {
+        // Not there; try the next location
+      }
+    }
+
+    return null;
+  }
+
+  static listDirs(dir) {
+    try {
+      return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => path.join(dir, entry.name));
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+module.exports = NodePackageManager;
@@ -0,0 +1,198 @@
+const semver = require('semver');
+const Logger = require('../utils/logger');
+const HttpClient = require('../utils/http-client');
+const ErrorHandler = require('../utils/error-handler');
+const ZipArchive = require('../utils/zip-archive');
+
+// Marketplace extensionquery flags
+const FLAG_INCLUDE_VERSIONS = 0x1;
+const FLAG_INCLUDE_VERSION_PROPERTIES = 0x10;
+const FLAG_INCLUDE_LATEST_VERSION_ONLY = 0x200;
+const FLAG_INCLUDE_LATEST_PRERELEASE_AND_STABLE_VERSION_ONLY = 0x10000;
+const FILTER_TYPE_EXTENSION_NAME = 7;
+
+// Version property set on pre-release builds; their version numbers are plain semver
+const PRE_RELEASE_PROPERTY = 'Microsoft.VisualStudio.Code.PreRelease';
+const CHANGELOG_ASSET = 'Microsoft.VisualStudio.Services.Content.Changelog';
+const SIGNATURE_ASSET = 'Microsoft.VisualStudio.Services.VsixSignature';
+
+/**
+ * Microsoft's Visual Studio Marketplace, the gallery VS Code uses
+ */
+class MarketplaceSource {
+  constructor(id = 'marketplace', { url = 'https://marketplace.visualstudio.com' } = {}) {
+    this.id = id;
+    this.name = 'VS Code Marketplace';
+    this.url = url.replace(/\/+$/, '');
+    this.logger = new Logger('Marketplace');
+    this.errors = new ErrorHandler();
+  }
+
+  /**
+   * Returns { [lowercased extensionId]: latestVersion } for the ids this gallery knows.
+   * All ids go into one extensionquery request; the item page is scraped as a fallback.
+   * The "pre-release" channel picks the newest of the latest stable and pre-release builds.
+   */
+  async getLatestVersions(extensionIds, channel = 'stable') {
+    try {
+      return await this.queryLatestVersions(extensionIds, channel);
+    } catch (error) {
+      this.logger.warn(`Marketplace API failed: ${this.errors.getUserMessage(error)}; trying fallback...`);
+    }
+
+    const versions = {};
+    for (const extensionId of extensionIds) {
+      try {
+        versions[extensionId.toLowerCase()] = await this.getVersionFallback(extensionId);
+      } catch (error) {
+        this.logger.warn(`${extensionId}: ${this.errors.getUserMessage(error)}`);
+      }
+    }
+    return versions;
+  }
+
+  async queryExtensions(extensionIds, flags = FLAG_INCLUDE_LATEST_VERSION_ONLY) {
+    const response = await HttpClient.fetch(`${this.url}/_apis/public/gallery/extensionquery`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json;api-version=3.0-preview.1',
+        'User-Agent': 'ai-code-updater/2.0.0'
+      },
+      body: JSON.stringify({
+        filters: [{
+          criteria: extensionIds.map(id => ({ filterType: FILTER_TYPE_EXTENSION_NAME, value: id })),
+          pageNumber: 1,
+          pageSize: extensionIds.length,
+          sortBy: 0,
+          sortOrder: 0
+        }],
+        assetTypes: [],
+        flags
+      }),
+      timeout: 15000
+    });
+
+    if (!response.ok) {
+      throw new Error(`API failed: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  async queryLatestVersions(extensionIds, channel) {
+    const data = await this.queryExtensions(extensionIds,
+      FLAG_INCLUDE_LATEST_PRERELEASE_AND_STABLE_VERSION_ONLY | FLAG_INCLUDE_VERSION_PROPERTIES);
+    const versions = {};
+
+    for (const extension of data.results?.[0]?.extensions || []) {
+      const id = `${extension.publisher?.publisherName}.${extension.extensionName}`.toLowerCase();
+      const candidates = this.filterChannel(extension.versions || [], channel);
+
+      if (candidates.length > 0) {
+        versions[id] = candidates.sort(semver.rcompare)[0];
+      } else if (extension.versions?.length) {
+        // Only pre-releases came back; the newest stable build is further down the list
+        const stable = await this.getVersions(id, channel);
+        if (stable.length > 0) versions[id] = stable.sort(semver.rcompare)[0];
+      }
+    }
+    return versions;
+  }
+
+  /**
+   * Distinct valid version numbers of the entries belonging to the channel
+   */
+  filterChannel(entries, channel) {
+    const matching = entries
+      .filter(entry => channel === 'pre-release' || !this.isPreRelease(entry))
+      .map(entry => entry.version)
+      .filter(version => semver.valid(version));
+    return [...new Set(matching)];
+  }
+
+  isPreRelease(entry) {
+    return (entry.properties || []).some(p => p.key === PRE_RELEASE_PROPERTY && p.value === 'true');
+  }
+
+  /**
+   * Every published version of an extension in the channel (one entry per version, across platforms)
+   */
+  async getVersions(extensionId, channel = 'stable') {
+    const data = await this.queryExtensions([extensionId], FLAG_INCLUDE_VERSIONS | FLAG_INCLUDE_VERSION_PROPERTIES);
+    const extension = data.results?.[0]?.extensions?.[0];
+    return this.filterChannel(extension?.versions || [], channel);
+  }
+
+  async getVersionFallback(extensionId) {
+    const response = await HttpClient.fetch(`${this.url}/items?itemName=${extensionId}`, {
+      headers: { 'User-Agent': 'Mozilla/5.0' },
+      timeout: 15000
+    });
+
+    if (!response.ok) throw new Error(`Fallback failed: ${response.status}`);
+
+    const html = await response.text();
+    const patterns = [/"version":"([^"]+)"/, /Version\s+([0-9]+\.[0-9]+\.[0-9]+)/i];
+
+    for (const pattern of patterns) {
+      const match = html.match(pattern);
+      if (match?.[1]) return match[1];
+    }
+
+    throw new Error('Could not find version');
+  }
+
+  /**
+   * The CHANGELOG.md shipped with a version, or null when the extension has none
+   */
+  async getChangelog(extensionId, version) {
+    const response = await this.fetchAsset(extensionId, version, CHANGELOG_ASSET);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Changelog request failed: ${response.status}`);
+    return response.text();
+  }
+
+  /**
+   * SHA-256 digest and size of a version's VSIX from the signature archive the Marketplace
+   * publishes with signed extensions, or null for unsigned ones. The archive's
+   * .signature.manifest lists the digest; its PKCS#7 signature is not checked here.
+   */
+  async getIntegrity(extensionId, version) {
+    const response = await this.fetchAsset(extensionId, version, SIGNATURE_ASSET);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Signature request failed: ${response.status}`);
+
+    const manifest = new ZipArchive(await response.buffer()).readFile('.signature.manifest');
+    const { size, digests } = JSON.parse(manifest?.toString('utf8') || '{}').package || {};
+    if (!digests?.sha256) throw new Error('Signature archive has no package digest');
+
+    return {
+      sha256: Buffer.from(digests.sha256, 'base64').toString('hex'),
+      size: size || null,
+      source: 'the Marketplace signature manifest'
+    };
+  }
+
+  fetchAsset(extensionId, version, assetType) {
+    const [publisherId, extensionName] = extensionId.split('.');
+    return HttpClient.fetch(
+      `${this.url}/_apis/public/gallery/publishers/${publisherId}/vsextensions/${extensionName}/${version}/assetbyname/${assetType}`,
+      { headers: { 'User-Agent': 'ai-code-updater/2.0.0' }, timeout: 15000 }
+    );
+  }
+
+  getDownloadUrl(extensionId, version) {
+    const [publisherId, extensionName] = extensionId.split('.');
+    return `${this.url}/_apis/public/gallery/publishers/${publisherId}/vsextensions/${extensionName}/${version}/vspackage`;
+  }
+
+  getDownloadHeaders() {
+    return {
+      'Accept': 'application/octet-stream',
+      'User-Agent': 'VSCode/1.85.0'
+    };
+  }
+}
+
+module.exports = MarketplaceSource;
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const semver = require('semver');
+const Logger = require('../utils/logger');
+const HttpClient = require('../utils/http-client');
+const ErrorHandler = require('../utils/error-handler');
+const Concurrency = require('../utils/concurrency');
+
+// Entries per request to the query API
+const PAGE_SIZE = 100;
+// Node's process.arch → the architecture part of VS Code target platforms (e.g. linux-armhf)
+const PLATFORM_ARCHES = { x64: 'x64', arm64: 'arm64', arm: 'armhf', ia32: 'ia32' };
+
+/**
+ * open-vsx.org or a self-hosted Open VSX server, the gallery most VS Code forks use
+ */
+class OpenVsxSource {
+  constructor(id = 'open-vsx', { url = 'https://open-vsx.org' } = {}) {
+    this.id = id;
+    this.name = id === 'open-vsx' ? 'Open VSX' : `Open VSX (${id})`;
+    this.url = url.replace(/\/+$/, '');
+    this.logger = new Logger('Open VSX');
+    this.errors = new ErrorHandler();
+    this.versionEntries = new Map();
+  }
+
+  /**
+   * Returns { [lowercased extensionId]: latestVersion } for the ids this gallery knows.
+   * Open VSX has no batch endpoint, so the per-extension requests run in parallel.
+   * The "pre-release" channel picks the newer of the latest and the pre-release build.
+   */
+  async getLatestVersions(extensionIds, channel = 'stable') {
+    const versions = {};
+
+    await Concurrency.map(extensionIds, async (extensionId) => {
+      try {
+        const found = [await this.getLatestVersion(extensionId)];
+        if (channel === 'pre-release') {
+          found.push((await this.getExtension(extensionId, 'pre-release'))?.version);
+        }
+
+        const valid = found.filter(version => semver.valid(version));
+        if (valid.length > 0) versions[extensionId.toLowerCase()] = valid.sort(semver.rcompare)[0];
+      } catch (error) {
+        this.logger.warn(`${extensionId}: ${this.errors.getUserMessage(error)}`);
+      }
+    });
+
+    return versions;
+  }
+
+  async getLatestVersion(extensionId) {
+    const data = await this.getExtension(extensionId);
+    return data?.version || null;
+  }
+
+  /**
+   * Every published version of an extension in the channel (one entry per version, across platforms)
+   */
+  async getVersions(extensionId, channel = 'stable') {
+    const matching = (await this.getVersionEntries(extensionId))
+      .filter(entry => channel === 'pre-release' || !entry.preRelease)
+      .map(entry => entry.version)
+      .filter(version => semver.valid(version));
+    return [...new Set(matching)];
+  }
+
+  /**
+   * Metadata of every published version and platform build from the query API, each with
+   * "version", "targetPlatform", "preRelease" and "files". Downloads, digests and version
+   * lists all need it, so it is fetched once per extension.
+   */
+  getVersionEntries(extensionId) {
+    const key = extensionId.toLowerCase();
+    if (!this.versionEntries.has(key)) {
+      const request = this.queryVersionEntries(extensionId);
+      request.catch(() => this.versionEntries.delete(key));
+      this.versionEntries.set(key, request);
+    }
+    return this.versionEntries.get(key);
+  }
+
+  async queryVersionEntries(extensionId) {
+    const entries = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const query = new URLSearchParams({ extensionId, includeAllVersions: 'true', size: PAGE_SIZE, offset });
+      const response = await HttpClient.fetch(`${this.url}/api/-/query?${query}`, {
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'ai-code-updater/2.0.0'
+        },
+        timeout: 15000
+      });
+      if (!response.ok) throw new Error(`Query failed: ${response.status}`);
+
+      const data = await response.json();
+      const page = data.extensions || [];
+      entries.push(...page);
+      // Servers without paging return everything at once
+      if (page.length < PAGE_SIZE || entries.length >= (data.totalSize || 0)) return entries;
+    }
+  }
+
+  /**
+   * The build of a version to install here: the one for this platform, else the universal
+   * one. Null when the version has neither, e.g. only builds for other platforms.
+   */
+  async getBuild(extensionId, version) {
+    const builds = (await this.getVersionEntries(extensionId)).filter(entry => entry.version === version);
+    const platform = this.getTargetPlatform();
+    return builds.find(entry => entry.targetPlatform === platform)
+      || builds.find(entry => !entry.targetPlatform || entry.targetPlatform === 'universal')
+      || null;
+  }
+
+  /**
+   * VS Code's name for this machine's platform, e.g. darwin-arm64, linux-x64 or alpine-x64
+   */
+  getTargetPlatform() {
+    const os = process.platform === 'linux' && fs.existsSync('/etc/alpine-release') ? 'alpine' : process.platform;
+    return `${os}-${PLATFORM_ARCHES[process.arch] || process.arch}`;
+  }
+
+  /**
+   * Extension metadata for the latest version, or for a version/alias ("pre-release")
+   */
+  async getExtension(extensionId, version = null) {
+    const [namespace, name] = extensionId.split('.');
+    const response = await HttpClient.fetch(`${this.url}/api/${namespace}/${name}${version ? `/${version}` : ''}`, {
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'ai-code-updater/2.0.0'
+      },
+      timeout: 15000
+    });
+
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`API failed: ${response.status}`);
+
+    return response.json();
+  }
+
+  /**
+   * The CHANGELOG.md shipped with a version, or null when the extension has none
+   */
+  async getChangelog(extensionId, version) {
+    const url = (await this.getExtension(extensionId, version))?.files?.changelog;
+    if (!url) return null;
+
+    const response = await HttpClient.fetch(url, {
+      headers: { 'User-Agent': 'ai-code-updater/2.0.0' },
+      timeout: 15000
+    });
+
+    if (!response.ok) throw new Error(`Changelog request failed: ${response.status}`);
+    return response.text();
+  }
+
+  /**
+   * SHA-256 digest of a version's VSIX from the .sha256 file Open VSX publishes with it,
+   * or null when there is none
+   */
+  async getIntegrity(extensionId, version) {
+    const url = (await this.getBuild(extensionId, version))?.files?.sha256;
+    if (!url) return null;
+
+    const response = await HttpClient.fetch(url, {
+      headers: { 'User-Agent': 'ai-code-updater/2.0.0' },
+      timeout: 15000
+    });
+    if (!response.ok) throw new Error(`Digest request failed: ${response.status}`);
+
+    const sha256 = (await response.text()).trim().split(/\s+/)[0];
+    if (!/^[0-9a-f]{64}$/i.test(sha256)) throw new Error('Digest file does not hold a SHA-256 digest');
+    return { sha256, size: null, source: `${this.name}'s .sha256 file` };
+  }
+
+  /**
+   * Download URL of the build for this platform (see getBuild()), or null when there is none
+   */
+  async getDownloadUrl(extensionId, version) {
+    const build = await this.getBuild(extensionId, version);
+    if (!build) {
+      this.logger.warn(`${extensionId}@${version} has no ${this.getTargetPlatform()} or universal build`);
+      return null;
+    }
+    return build.files?.download || null;
+  }
+
+  getDownloadHeaders() {
+    return {
+      'Accept': 'application/octet-stream',
+      'User-Agent': 'ai-code-updater/2.0.0'
+    };
+  }
+}
+
+module.exports = OpenVsxSource;
@@ -0,0 +1,247 @@
+const semver = require('semver');
+const ConfigManager = require('./config');
+
+class ArgParser {
+  constructor() {
+    this.commands = ['status', 'update', 'rollback', 'doctor', 'cleanup', 'history'];
+
+    this.flags = {
+      '-h': 'help',
+      '--help': 'help',
+      '-v': 'version',
+      '--version': 'version',
+      '-a': 'auto',
+      '--auto': 'auto',
+      '-s': 'silent',
+      '--silent': 'silent',
+      '-q': 'quiet',
+      '--quiet': 'quiet',
+      '--verbose': 'verbose',
+      '--dry-run': 'dryRun',
+      '--offline': 'offline',
+      '--refresh': 'refresh',
+      '--json': 'json',
+      '-y': 'yes',
+      '--yes': 'yes'
+    };
+
+    this.listOptions = ['--only', '--skip'];
+    this.valueOptions = { '--config': 'configPath', '--to': 'toVersion', '--since': 'since' };
+  }
+
+  /**
+   * Parses argv (without the node/script entries) into a command description.
+   * Throws on unknown options; tool names are checked later by selectTools().
+   */
+  parse(argv) {
+    const options = {
+      command: null,
+      tools: [],
+      only: [],
+      skip: [],
+      help: false,
+      version: false,
+      auto: false,
+      silent: false,
+      quiet: false,
+      verbose: false,
+      dryRun: false,
+      offline: false,
+      refresh: false,
+      json: false,
+      yes: false,
+      configPath: null,
+      toVersion: null,
+      since: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+
+      if (this.flags[arg]) {
+        options[this.flags[arg]] = true;
+        continue;
+      }
+
+      const [name, inlineValue] = arg.split(/=(.*)/s);
+      if (this.listOptions.includes(name)) {
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (!value || value.startsWith('-')) {
+          throw new Error(`Option ${name} requires a comma-separated list of tool ids`);
+        }
+        options[name.slice(2)].push(...this.parseToolList(value));
+        continue;
+      }
+
+      if (this.valueOptions[name]) {
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (!value) {
+          throw new Error(`Option ${name} requires a value`);
+        }
+        options[this.valueOptions[name]] = value;
+        continue;
+      }
+
+      if (arg.startsWith('-')) {
+        throw new Error(`Unknown option: ${arg}`);
+      }
+
+      if (!options.command) {
+        if (!this.commands.includes(arg)) {
+          throw new Error(`Unknown command: ${arg}`);
+        }
+        options.command = arg;
+        continue;
+      }
+
+      options.tools.push(...this.parseToolList(arg));
+    }
+
+    if (options.auto && !options.command) {
+      options.command = 'update';
+    }
+
+    if (options.command === 'rollback' && options.tools.length !== 1) {
+      throw new Error('Usage: acu rollback <tool> [--to <version>]');
+    }
+    if (options.toVersion && options.command !== 'rollback') {
+      throw new Error('Option --to can only be used with the rollback command');
+    }
+    if (options.since !== null && options.command !== 'history') {
+      throw new Error('Option --since can only be used with the history command');
+    }
+    if (options.since !== null) {
+      options.since = this.parseSince(options.since);
+    }
+    if (options.verbose && (options.quiet || options.silent)) {
+      throw new Error(`Options --verbose and --${options.quiet ? 'quiet' : 'silent'} cannot be combined`);
+    }
+    if (options.offline && options.refresh) {
+      throw new Error('Options --offline and --refresh cannot be combined');
+    }
+    if (options.offline && ['update', 'rollback'].includes(options.command)) {
+      throw new Error(`Option --offline cannot be used with the ${options.command} command`);
+    }
+    if (options.json && !['status', 'update'].includes(options.command)) {
+      throw new Error('Option --json can only be used with the status or update command');
+    }
+    if (options.yes && options.command !== 'cleanup') {
+      throw new Error('Option --yes can only be used with the cleanup command');
+    }
+    if (options.toVersion && !semver.valid(options.toVersion)) {
+      throw new Error(`Option --to expects a version such as 1.2.3 (got ${options.toVersion})`);
+    }
+
+    return options;
+  }
+
+  /**
+   * --since takes a duration back from now ("7d", "12h") or a date ("2025-06-01");
+   * returns the time in milliseconds
+   */
+  parseSince(value) {
+    const duration = ConfigManager.parseDuration(value);
+    if (duration !== null) return Date.now() - duration;
+
+    const time = /^\d{4}-\d{2}-\d{2}/.test(value) ? Date.parse(value) : NaN;
+    if (Number.isNaN(time)) {
+      throw new Error(`Option --since expects a duration such as 7d or a date such as 2025-06-01 (got ${value})`);
+    }
+    return time;
+  }
+
+  parseToolList(value) {
+    return value
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Applies positional tools, --only and --skip to the registry's tool ids.
+   * Throws when a name is neither a tool id nor an alias, or when rollback is left
+   * without its one tool.
+   */
+  selectTools(options, registry) {
+    const resolve = (names) => names.map(name => registry.resolveId(name));
+    const tools = resolve(options.tools);
+    const only = resolve(options.only);
+    const skip = resolve(options.skip);
+    let selected = registry.getToolIds();
+
+    if (tools.length > 0) {
+      selected = selected.filter(id => tools.includes(id));
+    }
+    if (only.length > 0) {
+      selected = selected.filter(id => only.includes(id));
+    }
+    if (skip.length > 0) {
+      selected = selected.filter(id => !skip.includes(id));
+    }
+
+    if (options.command === 'rollback' && selected.length !== 1) {
+      throw new Error('Usage: acu rollback <tool> [--to <version>]');
+    }
+    return selected;
+  }
+
+  getHelp(registry) {
+    const aliases = Object.keys(registry.getAliases());
+
+    return `Usage: acu [command] [tools...] [options]
+
+Commands:
+  (none)          Interactive menu (default in a terminal)
+  status          Show installed and latest versions of all tools
+  update          Update tools without prompts and print a summary
+  rollback <tool> Reinstall the version replaced by the last update
+  doctor          Find duplicate or shadowed copies of the CLI tools
+  cleanup         Remove old extension versions the IDEs no longer use
+  history         Show past checks, updates and rollbacks
+
+Tools:
+  ${registry.getToolIds().join(', ')}${aliases.length > 0 ? `\n  (aliases: ${aliases.join(', ')})` : ''}
+
+Options:
+  -a, --auto         Auto-pilot mode: same as "update" for all tools
+  -s, --silent       Silent mode: minimal output (use with --auto/update)
+  -q, --quiet        Only show warnings and errors on the console
+  --verbose          Also log debug details (requests, cache hits, commands)
+  --only <tools>     Only include these tools (comma-separated)
+  --skip <tools>     Exclude these tools (comma-separated)
+  --dry-run          Show what would be updated without making changes
+  --offline          Report from the lookup cache without network access
+  --refresh          Ignore cached lookups and query the registries again
+  --json             Print a JSON report instead (with status or update)
+  --config <path>    Use this config file instead of the per-user one
+  --to <version>     Version to roll back to (with rollback)
+  --since <when>     History since a duration ago (7d) or a date (with history)
+  -y, --yes          Remove without asking (with cleanup; needed without a terminal)
+  -h, --help         Show help message
+  -v, --version      Show version number
+
+Exit codes:
+  0   Success (with --json: everything is up to date or was updated)
+  1   A failed update, rollback or cleanup, a doctor finding, or an unexpected error
+  2   Invalid command line or configuration
+  10  Updates are available (only with --json)
+  20  A check or update failed (only with --json)
+
+Examples:
+  acu                                  # Interactive mode (default)
+  acu status                           # Show status of all tools
+  acu status --offline                 # Status from the last cached lookups
+  acu status --json                    # Machine-readable status for scripts
+  acu update claude-code gemini-cli    # Update specific tools
+  acu update --only augment            # Update only the Augment extension
+  acu --auto --skip openai-codex       # Auto-update everything except Codex
+  acu --auto --dry-run                 # Dry run to see what would be updated
+  acu rollback claude-code             # Undo the last Claude Code update
+  acu rollback augment --to 0.480.0    # Reinstall a specific Augment version
+  acu doctor claude-code               # Find every copy of the claude command
+  acu cleanup --dry-run                # List old extension folders and their size
+  acu history augment --since 7d       # Augment checks and updates of the past week`;
+  }
+}
+
+module.exports = ArgParser;
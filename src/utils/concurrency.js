@@ -0,0 +1,34 @@
+/**
+ * Bounded parallelism for registry, gallery and child process checks
+ */
+class Concurrency {
+  /**
+   * Sets the default number of calls in flight (updateSettings.concurrency)
+   */
+  static configure({ limit = 4 } = {}) {
+    Concurrency.limit = limit;
+  }
+
+  /**
+   * Maps items through an async function with at most `limit` calls in flight.
+   * Results keep the order of the items; the first rejection rejects the whole map.
+   */
+  static async map(items, fn, limit = Concurrency.limit) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+}
+
+Concurrency.limit = 4;
+
+module.exports = Concurrency;
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const Paths = require('./paths');
+const NodeInstallations = require('./node-installations');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'config.json');
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['text', 'json'];
+const GALLERY_TYPES = ['marketplace', 'open-vsx'];
+const POLICY_FIELDS = ['pin', 'range', 'skip', 'channel'];
+const NODE_UPDATE_MODES = ['path', 'primary', 'all'];
+const PACKAGE_CHECK_MODES = ['off', 'warn', 'block'];
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+class ConfigError extends Error {
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}\n${issues.map(i => `  - ${i}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.code = 'ECONFIG';
+    this.issues = issues;
+  }
+}
+
+class ConfigManager {
+  constructor({ ideIds = [], userConfigPath } = {}) {
+    this.ideIds = ideIds;
+    this.defaultConfigPath = DEFAULT_CONFIG_PATH;
+    this.userConfigPath = userConfigPath || process.env.ACU_CONFIG || Paths.getUserConfigPath();
+    this.config = null;
+  }
+
+  /**
+   * Loads the bundled defaults, merges the user file over them and validates the result
+   */
+  load() {
+    const defaults = this.readFile(this.defaultConfigPath);
+    const userConfig = fs.existsSync(this.userConfigPath) ? this.readFile(this.userConfigPath) : {};
+
+    this.validate(userConfig, this.userConfigPath, { partial: true });
+    const merged = this.merge(defaults, userConfig);
+    this.validate(merged, this.userConfigPath);
+
+    this.config = merged;
+    return merged;
+  }
+
+  readFile(filePath) {
+    let raw;
+    try {
+      raw = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new ConfigError(`Could not read config file ${filePath}: ${error.message}`);
+    }
+
+    try {
+      const data = JSON.parse(raw);
+      if (!this.isPlainObject(data)) {
+        throw new Error('top level must be an object');
+      }
+      return data;
+    } catch (error) {
+      throw new ConfigError(`Invalid JSON in config file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deep merges objects; arrays and scalars from the override replace the base value
+   */
+  merge(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      result[key] = this.isPlainObject(value) && this.isPlainObject(base[key])
+        ? this.merge(base[key], value)
+        : value;
+    }
+    return result;
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  validate(config, source, { partial = false } = {}) {
+    const issues = [];
+    const sections = {
+      idePreferences: {
+        priority: (v) => Array.isArray(v) && v.every(id => this.ideIds.includes(id))
+          ? null : `must be an array of IDE ids (${this.ideIds.join(', ')})`,
+        installInAllIDEs: (v) => typeof v === 'boolean' ? null : 'must be true or false',
+        preferredIDE: (v) => v === 'auto' || this.ideIds.includes(v)
+          ? null : `must be "auto" or one of: ${this.ideIds.join(', ')}`,
+        galleries: (v) => this.isPlainObject(v) && Object.keys(v).every(id => this.ideIds.includes(id))
+          && Object.values(v).every(id => typeof id === 'string')
+          ? null : 'must map IDE ids to gallery ids, e.g. { "cursor": "open-vsx" }'
+      },
+      updateSettings: {
+        checkInterval: (v) => ConfigManager.parseDuration(v) !== null
+          ? null : 'must be a duration such as "30m", "6h" or "1d"',
+        autoInstall: (v) => typeof v === 'boolean' ? null : 'must be true or false',
+        notifyOnUpdate: (v) => typeof v === 'boolean' ? null : 'must be true or false',
+        concurrency: (v) => Number.isInteger(v) && v > 0 ? null : 'must be a positive integer',
+        cacheTtl: (v) => ConfigManager.parseDuration(v) !== null
+          ? null : 'must be a duration such as "0m", "1h" or "1d"',
+        autoRevert: (v) => typeof v === 'boolean' ? null : 'must be true or false'
+      },
+      nodeVersions: {
+        update: (v) => NODE_UPDATE_MODES.includes(v) ? null : `must be one of: ${NODE_UPDATE_MODES.join(', ')}`,
+        primary: (v) => v === null ? null : NodeInstallations.validatePrimary(v)
+      },
+      logging: {
+        level: (v) => LOG_LEVELS.includes(v) ? null : `must be one of: ${LOG_LEVELS.join(', ')}`,
+        saveToFile: (v) => typeof v === 'boolean' ? null : 'must be true or false',
+        maxLogFiles: (v) => Number.isInteger(v) && v > 0 ? null : 'must be a positive integer',
+        format: (v) => LOG_FORMATS.includes(v) ? null : `must be one of: ${LOG_FORMATS.join(', ')}`,
+        maxHistoryFiles: (v) => Number.isInteger(v) && v > 0 ? null : 'must be a positive integer'
+      },
+      packageChecks: {
+        mode: (v) => PACKAGE_CHECK_MODES.includes(v) ? null : `must be one of: ${PACKAGE_CHECK_MODES.join(', ')}`,
+        minimumAge: (v) => ConfigManager.parseDuration(v) !== null
+          ? null : 'must be a duration such as "0m", "24h" or "3d"',
+        requireProvenance: (v) => typeof v === 'boolean' ? null : 'must be true or false'
+      }
+    };
+    const lists = {
+      tools: (v) => Array.isArray(v) && v.every(entry => this.isPlainObject(entry))
+        ? null : 'must be an array of tool definitions',
+      extensions: (v) => Array.isArray(v) && v.every(id => typeof id === 'string' && /^[\w-]+\.[\w-]+$/.test(id))
+        ? null : 'must be an array of extension ids such as "github.copilot"',
+      galleries: (v) => this.isPlainObject(v) && Object.entries(v).every(([id, gallery]) =>
+        this.isPlainObject(gallery)
+        && (GALLERY_TYPES.includes(gallery.type) || (gallery.type === undefined && GALLERY_TYPES.includes(id)))
+        && (gallery.url === undefined || /^https?:\/\/\S+$/.test(gallery.url))
+        && Object.keys(gallery).every(key => key === 'type' || key === 'url'))
+        ? null : `must map gallery ids to { "type": "${GALLERY_TYPES.join('" | "')}", "url": "https://..." }`,
+      policies: (v) => this.isPlainObject(v) && Object.values(v).every(policy => this.isPlainObject(policy)
+        && Object.keys(policy).every(key => POLICY_FIELDS.includes(key))
+        && !(policy.pin !== undefined && policy.range !== undefined)
+        && (policy.pin === undefined || semver.valid(policy.pin) !== null)
+        && (policy.range === undefined || (typeof policy.range === 'string' && semver.validRange(policy.range) !== null))
+        && (policy.skip === undefined || (Array.isArray(policy.skip) && policy.skip.every(version => semver.valid(version) !== null)))
+        && (policy.channel === undefined || (typeof policy.channel === 'string' && /^[a-z][\w.-]*$/i.test(policy.channel))))
+        ? null : 'must map tool ids to { "pin": "1.2.3" } or { "range": "~1.2.0", "skip": ["1.2.4"], "channel": "next" }'
+    };
+
+    for (const [sectionName, value] of Object.entries(config)) {
+      if (lists[sectionName]) {
+        const problem = lists[sectionName](value);
+        if (problem) issues.push(`"${sectionName}" ${problem}`);
+        continue;
+      }
+
+      const rules = sections[sectionName];
+      if (!rules) {
+        issues.push(`Unknown setting "${sectionName}"`);
+        continue;
+      }
+      if (!this.isPlainObject(value)) {
+        issues.push(`"${sectionName}" must be an object`);
+        continue;
+      }
+
+      for (const [key, setting] of Object.entries(value)) {
+        const check = rules[key];
+        if (!check) {
+          issues.push(`Unknown setting "${sectionName}.${key}"`);
+          continue;
+        }
+        const problem = check(setting);
+        if (problem) {
+          issues.push(`"${sectionName}.${key}" ${problem} (got ${JSON.stringify(setting)})`);
+        }
+      }
+
+      if (!partial) {
+        for (const key of Object.keys(rules)) {
+          if (value[key] === undefined) issues.push(`Missing setting "${sectionName}.${key}"`);
+        }
+      }
+    }
+
+    if (!partial && issues.length === 0) {
+      const galleryIds = [...GALLERY_TYPES, ...Object.keys(config.galleries || {})];
+      for (const [ide, galleryId] of Object.entries(config.idePreferences?.galleries || {})) {
+        if (!galleryIds.includes(galleryId)) {
+          issues.push(`"idePreferences.galleries.${ide}" refers to unknown gallery "${galleryId}" (known: ${galleryIds.join(', ')})`);
+        }
+      }
+
+      if (config.nodeVersions?.update === 'primary' && !config.nodeVersions.primary) {
+        issues.push('"nodeVersions.update" is "primary" but "nodeVersions.primary" is not set');
+      }
+    }
+
+    if (issues.length > 0) {
+      throw new ConfigError(`Invalid configuration in ${source}:`, issues);
+    }
+  }
+
+  /**
+   * Converts "30m", "6h" or "1d" to milliseconds; returns null when the format is invalid
+   */
+  static parseDuration(value) {
+    const match = typeof value === 'string' && value.trim().match(/^(\d+)\s*([mhd])$/i);
+    if (!match) return null;
+    return parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+  }
+}
+
+module.exports = ConfigManager;
+module.exports.ConfigError = ConfigError;
@@ -1,5 +1,11 @@
 const fs = require('fs');
 const path = require('path');
+const Logger = require('./logger');
+const { ProcessError } = require('./shell');
+
+// Failures worth another attempt: dropped or timed out connections, busy files. A failed
+// DNS lookup (ENOTFOUND) usually means offline or a wrong host, so it is not retried.
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ENETUNREACH', 'EAI_AGAIN', 'EBUSY', 'EAGAIN'];
 
 class ErrorHandler {
   constructor() {
@@ -8,7 +14,8 @@ class ErrorHandler {
       delayMs: 1000,
       backoffMultiplier: 2
     };
-    
+    this.logger = new Logger('Retry');
+
     this.commonErrors = {
       ENOENT: {
         message: 'File or directory not found',
@@ -41,16 +48,45 @@ class ErrorHandler {
       ECONNRESET: {
         message: 'Connection reset',
         suggestion: 'Network instability - try again'
+      },
+      EAI_AGAIN: {
+        message: 'DNS lookup timed out',
+        suggestion: 'Check your internet connection and DNS settings'
+      },
+      ENETUNREACH: {
+        message: 'Network unreachable',
+        suggestion: 'Check your internet connection or proxy settings'
+      }
+    };
+
+    this.httpErrors = {
+      401: {
+        message: 'Not authorized',
+        suggestion: 'Check the registry credentials in your .npmrc'
+      },
+      403: {
+        message: 'Access denied',
+        suggestion: 'Check the registry credentials in your .npmrc'
+      },
+      429: {
+        message: 'Too many requests',
+        suggestion: 'Wait a few minutes and try again (set GITHUB_TOKEN for GitHub lookups)'
+      },
+      500: {
+        message: 'Server error',
+        suggestion: 'The registry or gallery is having problems, try again later'
       }
     };
   }
 
   /**
-   * Wraps an async function with retry logic
+   * Wraps an async function with retry logic. Only errors shouldRetry() accepts (by
+   * default isRetryable()) are retried; with a label each retry is logged.
    */
   async withRetry(fn, options = {}) {
-    const { maxAttempts, delayMs, backoffMultiplier, onRetry } = {
+    const { maxAttempts, delayMs, backoffMultiplier, onRetry, label, shouldRetry } = {
       ...this.retryDefaults,
+      shouldRetry: error => this.isRetryable(error),
       ...options
     };
 
@@ -60,12 +96,15 @@ class ErrorHandler {
         return await fn(attempt);
       } catch (error) {
         lastError = error;
-        
+        if (!shouldRetry(error)) break;
+
         if (attempt < maxAttempts) {
           const delay = delayMs * Math.pow(backoffMultiplier, attempt - 1);
           
           if (onRetry) {
             onRetry(attempt, maxAttempts, error, delay);
+          } else if (label) {
+            this.logger.warn(`${label}: ${this.getUserMessage(error)}; retrying in ${delay / 1000}s (attempt ${attempt + 1} of ${maxAttempts})`);
           }
           
           await this.sleep(delay);
@@ -76,6 +115,29 @@ class ErrorHandler {
     throw lastError;
   }
 
+  /**
+   * Whether an error is transient: network and timeout errors, busy files, HTTP 429 and
+   * 5xx answers, and commands whose error output names one of those. Errors can decide for
+   * themselves with error.retryable.
+   */
+  isRetryable(error) {
+    if (typeof error.retryable === 'boolean') return error.retryable;
+    const status = this.getHttpStatus(error);
+    if (status) return status === 429 || status >= 500;
+    if (RETRYABLE_CODES.includes(error.code)) return true;
+    if (error.type === 'request-timeout' || error.type === 'body-timeout') return true;
+
+    return RETRYABLE_CODES.some(code => String(error.stderr || '').includes(code));
+  }
+
+  /**
+   * HTTP status of a failed request, or null. Node's own child process errors also have a
+   * "status", the exit code, but unlike HTTP errors they carry "signal" too.
+   */
+  getHttpStatus(error) {
+    return typeof error.status === 'number' && error.status >= 100 && !('signal' in error) ? error.status : null;
+  }
+
   /**
    * Helper to sleep for specified milliseconds
    */
@@ -87,8 +149,20 @@ class ErrorHandler {
    * Gets a user-friendly error message
    */
   getFriendlyMessage(error) {
-    const code = error.code || error.errno;
-    const knownError = this.commonErrors[code];
+    // A command that ran out of time is not a network problem; its message says how long it had
+    if (error instanceof ProcessError && error.code === 'ETIMEDOUT') {
+      return {
+        code: error.code,
+        message: error.message,
+        suggestion: 'Run the command yourself to see where it stops',
+        original: error.message
+      };
+    }
+
+    const code = error.code || error.errno || (error.type === 'request-timeout' ? 'ETIMEDOUT' : undefined);
+    const status = this.getHttpStatus(error);
+    const knownError = this.commonErrors[code]
+      || (status && (this.httpErrors[status] || (status >= 500 && this.httpErrors[500])));
     
     if (knownError) {
       return {
@@ -127,6 +201,20 @@ class ErrorHandler {
     };
   }
 
+  /**
+   * One line for users: the friendly message, what it concerns and the suggestion, or the
+   * error's own message when nothing better is known
+   */
+  getUserMessage(error) {
+    const friendly = this.getFriendlyMessage(error);
+    if (friendly.message === error.message) return error.message;
+
+    const status = this.getHttpStatus(error);
+    const subject = status ? `HTTP ${status}`
+      : error.hostname || (error.message || '').match(/https?:\/\/([^/:\s]+)/)?.[1] || error.path || error.command;
+    return `${friendly.message}${subject ? ` (${subject})` : ''}. ${friendly.suggestion}`;
+  }
+
   /**
    * Checks if error is related to iCloud sync
    */
@@ -262,9 +350,10 @@ class ErrorHandler {
 
     // Check network connectivity
     try {
-      const fetch = require('node-fetch');
+      const HttpClient = require('./http-client');
+      const NpmConfig = require('./npm-config');
       await Promise.race([
-        fetch('https://registry.npmjs.org/', { method: 'HEAD' }),
+        HttpClient.fetch(new NpmConfig().getRegistry(), { method: 'HEAD' }),
         new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 5000))
       ]);
     } catch (error) {
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+// history.jsonl is rotated to history.1.jsonl once it grows past this size
+const MAX_FILE_SIZE = 1024 * 1024;
+
+const TRIGGERS = ['interactive', 'cron', 'auto'];
+
+/**
+ * Append-only record of every check, update and rollback in <state dir>/history.jsonl,
+ * one JSON object per line:
+ *   { "at": "...", "trigger": "cron", "event": "update", "tool": "augment", "ide": "cursor",
+ *     "from": "0.480.0", "to": "0.482.1", "outcome": "success", "durationMs": 5120, "error": null }
+ * Checks have the outcome "current", "available" or "failed"; updates and rollbacks
+ * "success" or "failed". Dry runs record nothing.
+ */
+class HistoryStore {
+  constructor(stateDir, { isDryRun = false, trigger = 'interactive', maxFiles = 5 } = {}) {
+    if (!TRIGGERS.includes(trigger)) throw new Error(`Unknown history trigger: ${trigger}`);
+    this.filePath = path.join(stateDir, 'history.jsonl');
+    this.isDryRun = isDryRun;
+    this.trigger = trigger;
+    this.maxFiles = maxFiles;
+    this.logger = new Logger('History');
+  }
+
+  getRotatedPath(index) {
+    return this.filePath.replace(/\.jsonl$/, `.${index}.jsonl`);
+  }
+
+  record(event, { tool, ide = null, from = null, to = null, outcome, durationMs = null, error = null }) {
+    if (this.isDryRun) return;
+
+    const entry = { at: new Date().toISOString(), trigger: this.trigger, event, tool, ide, from, to, outcome, durationMs, error };
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.rotate();
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      this.logger.warn(`Could not record ${event} of ${tool}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Shifts history.jsonl to history.1.jsonl (and so on) once it is too big, dropping
+   * files beyond maxFiles
+   */
+  rotate() {
+    let size;
+    try {
+      size = fs.statSync(this.filePath).size;
+    } catch (error) {
+      return;
+    }
+    if (size < MAX_FILE_SIZE) return;
+
+    fs.rmSync(this.getRotatedPath(this.maxFiles), { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(this.getRotatedPath(index))) {
+        fs.renameSync(this.getRotatedPath(index), this.getRotatedPath(index + 1));
+      }
+    }
+    fs.renameSync(this.filePath, this.getRotatedPath(1));
+  }
+
+  /**
+   * Recorded entries, oldest first, optionally only those of some tools or since a time
+   */
+  read({ toolIds = null, since = null } = {}) {
+    const files = [];
+    for (let index = this.maxFiles; index >= 1; index--) files.push(this.getRotatedPath(index));
+    files.push(this.filePath);
+
+    const entries = [];
+    for (const file of files) {
+      let content;
+      try {
+        content = fs.readFileSync(file, 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // A line cut short by a crash; the rest of the file is still good
+        }
+      }
+    }
+
+    return entries.filter(entry => (!toolIds || toolIds.includes(entry.tool))
+      && (!since || Date.parse(entry.at) >= since));
+  }
+}
+
+module.exports = HistoryStore;
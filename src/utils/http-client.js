@@ -0,0 +1,94 @@
+const https = require('https');
+const fetch = require('node-fetch');
+const Logger = require('./logger');
+const ErrorHandler = require('./error-handler');
+const ProxyAgent = require('./proxy-agent');
+const TunnelAgent = require('./tunnel-agent');
+
+const logger = new Logger('HTTP');
+const errors = new ErrorHandler();
+
+/**
+ * node-fetch with the proxy and TLS settings of npm's configuration applied to every
+ * request, redirects included, and ErrorHandler's retry policy for failed connections,
+ * timeouts and 429/5xx answers. All network traffic goes through HttpClient.fetch().
+ */
+class HttpClient {
+  static configure({ httpProxy = null, httpsProxy = null, noProxy = [], strictSSL = true, ca = null } = {}) {
+    HttpClient.proxies = { 'http:': httpProxy, 'https:': httpsProxy };
+    HttpClient.noProxy = noProxy;
+    HttpClient.tlsOptions = { rejectUnauthorized: strictSSL, ...(ca ? { ca } : {}) };
+    HttpClient.agents = new Map();
+  }
+
+  /**
+   * Resolves with the response, after retries; only the last attempt's 429/5xx answer
+   * reaches the caller. { retry: false } makes a single attempt, for callers that retry
+   * a larger step themselves.
+   */
+  static fetch(url, { retry = true, ...options } = {}) {
+    const method = options.method || 'GET';
+    const maxAttempts = retry ? errors.retryDefaults.maxAttempts : 1;
+
+    return errors.withRetry(async (attempt) => {
+      const started = Date.now();
+      let response;
+      try {
+        response = await fetch(url, { ...options, agent: parsedURL => HttpClient.getAgent(parsedURL) });
+      } catch (error) {
+        logger.debug(`${method} ${url} → ${error.message}`);
+        throw error;
+      }
+      logger.debug(`${method} ${url} → ${response.status} in ${Date.now() - started}ms`);
+
+      if (attempt < maxAttempts && (response.status === 429 || response.status >= 500)) {
+        const error = new Error(`${method} ${url} failed: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      return response;
+    }, { maxAttempts, label: `${method} ${new URL(url).host}` });
+  }
+
+  /**
+   * Agent for a URL: the protocol's proxy unless NO_PROXY matches the host (a CONNECT
+   * tunnel for https://, absolute-URI requests for http://), else an HTTPS agent carrying
+   * the TLS settings (undefined = Node's default)
+   */
+  static getAgent({ protocol, hostname, port }) {
+    const proxy = HttpClient.proxies[protocol];
+    const useProxy = proxy && !HttpClient.bypassesProxy(hostname, port);
+    const key = useProxy ? `${protocol}${proxy}` : protocol;
+    if (HttpClient.agents.has(key)) return HttpClient.agents.get(key);
+
+    let agent;
+    if (useProxy) {
+      agent = protocol === 'https:'
+        ? new TunnelAgent(proxy, { tlsOptions: HttpClient.tlsOptions })
+        : new ProxyAgent(proxy, { tlsOptions: HttpClient.tlsOptions });
+    } else if (protocol === 'https:' && (HttpClient.tlsOptions.ca || !HttpClient.tlsOptions.rejectUnauthorized)) {
+      agent = new https.Agent({ keepAlive: true, ...HttpClient.tlsOptions });
+    }
+    HttpClient.agents.set(key, agent);
+    return agent;
+  }
+
+  /**
+   * NO_PROXY entries: "*", host names matching themselves and their subdomains
+   * (".corp.example" or "corp.example"), optionally limited to a port ("host:8080")
+   */
+  static bypassesProxy(hostname, port) {
+    return HttpClient.noProxy.some((entry) => {
+      if (entry === '*') return true;
+      const [host, entryPort] = entry.split(':');
+      if (entryPort && entryPort !== String(port)) return false;
+
+      const domain = host.replace(/^\*?\./, '').toLowerCase();
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    });
+  }
+}
+
+HttpClient.configure();
+
+module.exports = HttpClient;
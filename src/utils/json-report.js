@@ -0,0 +1,160 @@
+const NodeInstallations = require('./node-installations');
+
+const SCHEMA_VERSION = 1;
+
+// Exit codes of --json runs; 1 (fatal error) and 2 (usage/config error) apply as always
+const EXIT_CODES = {
+  upToDate: 0,
+  updatesAvailable: 10,
+  failed: 20
+};
+
+/**
+ * The machine-readable report of "status --json" and "update --json": one entry per tool
+ * id, with a target per IDE for extensions. Fields are only ever added to a schema
+ * version; removing or changing one bumps schemaVersion.
+ */
+class JsonReport {
+  constructor(command, { dryRun = false, offline = false } = {}) {
+    this.command = command;
+    this.dryRun = dryRun;
+    this.offline = offline;
+    this.tools = {};
+  }
+
+  /**
+   * ideStatus is what AICodeUpdater.getExtensionStatus() returns, or the Error that stopped it
+   */
+  addExtension(tool, channel, ideStatus) {
+    const failed = ideStatus instanceof Error;
+    this.tools[tool.id] = {
+      kind: 'extension',
+      name: tool.name,
+      extensionId: tool.extensionId,
+      channel,
+      error: failed ? ideStatus.message : null,
+      targets: failed ? [] : ideStatus.map(status => ({
+        ide: status.ide,
+        ideName: status.config.name,
+        installedVersion: status.version || null,
+        latestVersion: status.latestVersion || null,
+        targetVersion: status.targetVersion || null,
+        needsUpdate: Boolean(status.needsUpdate) && !status.error,
+        source: status.gallery,
+        cachedAt: this.formatTime(status.cachedAt),
+        error: status.error || null,
+        result: null
+      }))
+    };
+  }
+
+  /**
+   * cli is the tool's entry from CLIManager.checkAllForUpdates(), or null when not installed
+   */
+  addCLI(tool, channel, cli, sourceDescription = null) {
+    const installation = cli?.installation;
+    this.tools[tool.id] = {
+      kind: 'cli',
+      name: tool.name,
+      npmPackage: tool.npmPackage,
+      channel,
+      installed: Boolean(cli),
+      installedVersion: cli?.installedVersion || null,
+      latestVersion: cli?.latestVersion || null,
+      targetVersion: cli?.targetVersion || null,
+      needsUpdate: Boolean(cli?.needsUpdate),
+      source: installation ? {
+        manager: installation.manager?.id || 'unmanaged',
+        description: sourceDescription,
+        path: installation.binPath || null,
+        node: installation.node ? NodeInstallations.describe(installation.node) : null
+      } : null,
+      nodeCopies: (cli?.nodeCopies || []).map(({ node, installation: copy }) => ({
+        node: NodeInstallations.describe(node),
+        prefix: node.prefix,
+        version: copy.version
+      })),
+      cachedAt: this.formatTime(cli?.cachedAt),
+      error: cli?.error || null,
+      result: null
+    };
+  }
+
+  /**
+   * Attaches the outcome of each update in an UpdateSummary to its tool or IDE target
+   */
+  addResults(summary) {
+    for (const entry of summary.extensions) {
+      const target = this.tools[entry.tool]?.targets.find(t => t.ide === entry.ide);
+      if (target) target.result = this.formatResult(entry);
+    }
+    for (const entry of summary.clis) {
+      if (this.tools[entry.tool]) this.tools[entry.tool].result = this.formatResult(entry);
+    }
+  }
+
+  formatResult({ status, from, to, durationMs, error, reason }) {
+    return {
+      status,
+      fromVersion: from || null,
+      toVersion: to || null,
+      durationMs: durationMs || 0,
+      error: error || null,
+      ...(reason ? { reason } : {})
+    };
+  }
+
+  formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+  }
+
+  /**
+   * Every CLI tool and extension target, for counting
+   */
+  getUnits() {
+    return Object.values(this.tools).flatMap(tool => tool.kind === 'extension'
+      ? (tool.error ? [tool] : tool.targets)
+      : [tool]);
+  }
+
+  getCounts() {
+    const units = this.getUnits();
+    const pending = this.command === 'status' || this.dryRun;
+    return {
+      updatesAvailable: units.filter(u => u.needsUpdate && (pending || u.result?.status !== 'updated')).length,
+      updated: pending ? 0 : units.filter(u => u.result?.status === 'updated').length,
+      failed: units.filter(u => u.error || u.result?.status === 'failed').length
+    };
+  }
+
+  /**
+   * 20 when a check or update failed, else 10 when updates are still pending (status,
+   * dry runs, IDEs skipped by idePreferences), else 0
+   */
+  getExitCode() {
+    const counts = this.getCounts();
+    if (counts.failed > 0) return EXIT_CODES.failed;
+    if (counts.updatesAvailable > 0) return EXIT_CODES.updatesAvailable;
+    return EXIT_CODES.upToDate;
+  }
+
+  toJSON() {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      command: this.command,
+      generatedAt: new Date().toISOString(),
+      dryRun: this.dryRun,
+      offline: this.offline,
+      exitCode: this.getExitCode(),
+      summary: this.getCounts(),
+      tools: this.tools
+    };
+  }
+
+  print() {
+    process.stdout.write(`${JSON.stringify(this, null, 2)}\n`);
+  }
+}
+
+module.exports = JsonReport;
+module.exports.EXIT_CODES = EXIT_CODES;
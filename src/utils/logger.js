@@ -1,5 +1,12 @@
+const fs = require('fs');
+const path = require('path');
 const chalk = require('chalk');
 
+// Lower number = more severe; a message is logged when its severity <= the minimum level
+const SEVERITY = { error: 0, warning: 1, warn: 1, success: 2, info: 2, debug: 3 };
+
+const FORMATS = ['text', 'json'];
+
 class Logger {
   constructor(prefix = '') {
     this.prefix = prefix;
@@ -7,15 +14,135 @@ class Logger {
       info: chalk.blue,
       success: chalk.green,
       warning: chalk.yellow,
-      error: chalk.red
+      error: chalk.red,
+      debug: chalk.gray
     };
   }
 
+  /**
+   * Silences everything but errors for all loggers (used by --silent)
+   */
+  static setSilent(silent = true) {
+    Logger.silent = silent;
+  }
+
+  /**
+   * Minimum level shown on the console, independent of the one written to the log file
+   * (--quiet); null follows logging.level
+   */
+  static setConsoleLevel(level) {
+    Logger.consoleLevel = level;
+  }
+
+  /**
+   * Routes console output through writer(line), e.g. to print above a live progress
+   * display; null restores console.log
+   */
+  static setWriter(writer) {
+    Logger.writer = writer;
+  }
+
+  /**
+   * Sends log lines and the output of child processes to stderr, keeping stdout free
+   * for machine-readable reports (--json)
+   */
+  static setStderr(enabled = true) {
+    Logger.stderr = enabled;
+  }
+
+  /**
+   * stdio for child processes whose output is shown to the user, e.g. npm installs
+   */
+  static getChildStdio() {
+    return Logger.stderr ? ['inherit', 2, 2] : 'inherit';
+  }
+
+  static print(line) {
+    (Logger.writer || (Logger.stderr ? console.error : console.log))(line);
+  }
+
+  /**
+   * Applies the "logging" section of config.json to all loggers
+   */
+  static configure({ level = 'info', saveToFile = false, maxLogFiles = 10, format = 'text', logDir = null } = {}) {
+    if (!FORMATS.includes(format)) throw new Error(`Unknown log format: ${format}`);
+    Logger.level = level;
+    Logger.format = format;
+    Logger.logDir = null;
+    Logger.logFile = null;
+    Logger.maxLogFiles = maxLogFiles;
+
+    if (saveToFile && logDir) {
+      try {
+        fs.mkdirSync(logDir, { recursive: true });
+        Logger.logDir = logDir;
+      } catch (error) {
+        console.error(chalk.yellow(`Could not use log directory ${logDir}: ${error.message}`));
+      }
+    }
+  }
+
+  /**
+   * Today's log file, switching to a new one (and pruning old ones) when the date changes
+   * during a run
+   */
+  static getLogFile() {
+    if (!Logger.logDir) return null;
+
+    const logFile = path.join(Logger.logDir, `acu-${new Date().toISOString().slice(0, 10)}.log`);
+    if (logFile !== Logger.logFile) {
+      Logger.logFile = logFile;
+      try {
+        Logger.pruneLogFiles(Logger.logDir, Logger.maxLogFiles);
+      } catch (error) {
+        // Old log files piling up is no reason to stop
+      }
+    }
+    return logFile;
+  }
+
+  /**
+   * Keeps only the newest maxLogFiles daily log files
+   */
+  static pruneLogFiles(logDir, maxLogFiles) {
+    const files = fs.readdirSync(logDir)
+      .filter(file => /^acu-\d{4}-\d{2}-\d{2}\.log$/.test(file))
+      .sort()
+      .reverse();
+
+    files.slice(maxLogFiles).forEach(file => fs.unlinkSync(path.join(logDir, file)));
+  }
+
+  shouldLog(level, minimum = Logger.level) {
+    const severity = SEVERITY[level] !== undefined ? SEVERITY[level] : SEVERITY.info;
+    return severity <= SEVERITY[minimum];
+  }
+
   log(message, level = 'info') {
     const timestamp = new Date().toISOString();
-    const color = this.colors[level] || chalk.white;
     const prefixStr = this.prefix ? `[${this.prefix}] ` : '';
-    console.log(`[${timestamp}] ${color(level.toUpperCase())}: ${prefixStr}${message}`);
+
+    const logFile = this.shouldLog(level) ? Logger.getLogFile() : null;
+    if (logFile) {
+      const line = Logger.format === 'json'
+        ? JSON.stringify({ time: timestamp, level, ...(this.prefix ? { prefix: this.prefix } : {}), message })
+        : `[${timestamp}] ${level.toUpperCase()}: ${prefixStr}${message}`;
+      try {
+        fs.appendFileSync(logFile, `${line}\n`);
+      } catch (error) {
+        // Never let file logging break the run
+      }
+    }
+
+    if (!this.shouldLog(level, Logger.consoleLevel || Logger.level)) return;
+    if (Logger.silent && level !== 'error') return;
+
+    const color = this.colors[level] || chalk.white;
+    Logger.print(`[${timestamp}] ${color(level.toUpperCase())}: ${prefixStr}${message}`);
+  }
+
+  debug(message) {
+    this.log(message, 'debug');
   }
 
   info(message) {
@@ -35,21 +162,31 @@ class Logger {
   }
 
   divider(char = '─', length = 60) {
-    console.log(chalk.gray(char.repeat(length)));
+    Logger.print(chalk.gray(char.repeat(length)));
   }
 
   header(text) {
-    console.log('\n' + chalk.cyan(text));
+    Logger.print('\n' + chalk.cyan(text));
   }
 
   table(headers, rows) {
     this.divider();
-    console.log(headers.map(h => chalk.bold(h)).join(' | '));
+    Logger.print(headers.map(h => chalk.bold(h)).join(' | '));
     this.divider();
-    rows.forEach(row => console.log(row.join(' | ')));
+    rows.forEach(row => Logger.print(row.join(' | ')));
     this.divider();
   }
 }
 
+Logger.silent = false;
+Logger.level = 'info';
+Logger.consoleLevel = null;
+Logger.format = 'text';
+Logger.logDir = null;
+Logger.logFile = null;
+Logger.maxLogFiles = 10;
+Logger.writer = null;
+Logger.stderr = false;
+
 module.exports = Logger;
 
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const HttpClient = require('./http-client');
+const Logger = require('./logger');
+
+const logger = new Logger('Cache');
+
+const MODES = ['normal', 'offline', 'refresh'];
+
+class OfflineError extends Error {
+  constructor(what) {
+    super(`${what} is not cached yet; run once without --offline`);
+    this.name = 'OfflineError';
+    this.code = 'EOFFLINE';
+  }
+}
+
+/**
+ * On-disk cache of version lookups (registry, galleries), keyed e.g. "npm:<package>@<tag>".
+ * Entries younger than the TTL are used without a request; older ones are fetched again,
+ * conditionally when the server sent an ETag or Last-Modified. When a request fails the
+ * previous entry is used instead. Modes: "offline" only reads the cache, "refresh" ignores it.
+ *
+ * Lookups resolve to { value, cachedAt }: cachedAt is the time the value was fetched when
+ * it could not be confirmed with the server (offline or failed request), else null.
+ */
+class LookupCache {
+  static configure({ file = null, ttl = 60 * 60 * 1000, mode = 'normal' } = {}) {
+    if (!MODES.includes(mode)) throw new Error(`Unknown cache mode: ${mode}`);
+    LookupCache.file = file;
+    LookupCache.ttl = ttl;
+    LookupCache.mode = mode;
+    LookupCache.entries = null;
+  }
+
+  static isOffline() {
+    return LookupCache.mode === 'offline';
+  }
+
+  static load() {
+    if (!LookupCache.entries) {
+      try {
+        LookupCache.entries = JSON.parse(fs.readFileSync(LookupCache.file, 'utf8'));
+      } catch (error) {
+        LookupCache.entries = {};
+      }
+    }
+    return LookupCache.entries;
+  }
+
+  static get(key) {
+    if (!LookupCache.file || LookupCache.mode === 'refresh') return null;
+    return LookupCache.load()[key] || null;
+  }
+
+  static set(key, value, { etag = null, lastModified = null } = {}) {
+    if (!LookupCache.file) return;
+
+    LookupCache.load()[key] = { value, fetchedAt: Date.now(), etag, lastModified };
+    try {
+      // Written to a temporary file first so a crash never leaves half a cache behind
+      fs.mkdirSync(path.dirname(LookupCache.file), { recursive: true });
+      const temp = `${LookupCache.file}.${process.pid}.tmp`;
+      fs.writeFileSync(temp, JSON.stringify(LookupCache.entries));
+      fs.renameSync(temp, LookupCache.file);
+    } catch (error) {
+      // An unwritable cache only means more requests next time
+    }
+  }
+
+  static isFresh(entry) {
+    return Date.now() - entry.fetchedAt < LookupCache.ttl;
+  }
+
+  /**
+   * Cached value for key, else the result of load(), which is then cached.
+   * "what" names the lookup in the error thrown when offline without an entry.
+   */
+  static async remember(key, what, load) {
+    const entry = LookupCache.get(key);
+    if (LookupCache.isOffline()) return LookupCache.fromEntry(entry, what);
+    if (entry && LookupCache.isFresh(entry)) {
+      logger.debug(`${key}: fresh in cache`);
+      return { value: entry.value, cachedAt: null };
+    }
+
+    try {
+      const value = await load();
+      LookupCache.set(key, value);
+      return { value, cachedAt: null };
+    } catch (error) {
+      if (!entry) throw error;
+      logger.debug(`${key}: ${error.message}, using the cached value`);
+      return { value: entry.value, cachedAt: entry.fetchedAt };
+    }
+  }
+
+  /**
+   * GETs a JSON document through the cache, keeping pick(document) rather than all of it.
+   * Errors carry the HTTP status when the server answered; 4xx answers are never replaced
+   * by a cached value.
+   */
+  static async fetchJson(key, what, url, { headers = {}, timeout = 15000, pick = data => data } = {}) {
+    const entry = LookupCache.get(key);
+    if (LookupCache.isOffline()) return LookupCache.fromEntry(entry, what);
+    if (entry && LookupCache.isFresh(entry)) {
+      logger.debug(`${key}: fresh in cache`);
+      return { value: entry.value, cachedAt: null };
+    }
+
+    const conditional = {};
+    if (entry?.etag) conditional['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) conditional['If-Modified-Since'] = entry.lastModified;
+
+    let response;
+    try {
+      response = await HttpClient.fetch(url, { headers: { ...headers, ...conditional }, timeout });
+    } catch (error) {
+      if (!entry) throw error;
+      logger.debug(`${key}: ${error.message}, using the cached value`);
+      return { value: entry.value, cachedAt: entry.fetchedAt };
+    }
+
+    if (response.status === 304 && entry) {
+      logger.debug(`${key}: not modified`);
+      LookupCache.set(key, entry.value, entry);
+      return { value: entry.value, cachedAt: null };
+    }
+
+    if (!response.ok) {
+      if (entry && response.status >= 500) {
+        logger.debug(`${key}: server error ${response.status}, using the cached value`);
+        return { value: entry.value, cachedAt: entry.fetchedAt };
+      }
+      const error = new Error(`Registry request failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const value = pick(await response.json());
+    LookupCache.set(key, value, {
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified')
+    });
+    return { value, cachedAt: null };
+  }
+
+  static fromEntry(entry, what) {
+    if (!entry) throw new OfflineError(what);
+    return { value: entry.value, cachedAt: entry.fetchedAt };
+  }
+
+  /**
+   * "just now", "5m ago", "3h ago", "2d ago"
+   */
+  static formatAge(timestamp) {
+    const minutes = Math.max(Math.floor((Date.now() - timestamp) / 60000), 0);
+    if (minutes === 0) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 48 * 60) return `${Math.floor(minutes / 60)}h ago`;
+    return `${Math.floor(minutes / 1440)}d ago`;
+  }
+}
+
+LookupCache.file = null;
+LookupCache.ttl = 60 * 60 * 1000;
+LookupCache.mode = 'normal';
+LookupCache.entries = null;
+
+module.exports = LookupCache;
+module.exports.OfflineError = OfflineError;
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const semver = require('semver');
+
+const isWindows = process.platform === 'win32';
+const NODE_VERSION_DIR = /^v?\d+\.\d+\.\d+$/;
+
+// Where each Node version manager keeps its Node versions. Every version is its own npm
+// global prefix; on Windows the executables sit in the prefix itself instead of bin/.
+const VERSION_MANAGERS = {
+  nvm: {
+    name: 'nvm',
+    getRoots: () => [
+      path.join(process.env.NVM_DIR || path.join(os.homedir(), '.nvm'), 'versions', 'node'),
+      process.env.NVM_HOME // nvm-windows
+    ],
+    getPrefix: (versionDir) => versionDir
+  },
+  fnm: {
+    name: 'fnm',
+    getRoots: () => [
+      process.env.FNM_DIR,
+      path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'fnm'),
+      path.join(os.homedir(), '.fnm'),
+      path.join(os.homedir(), 'Library', 'Application Support', 'fnm'),
+      process.env.APPDATA && path.join(process.env.APPDATA, 'fnm')
+    ].filter(Boolean).map(dir => path.join(dir, 'node-versions')),
+    getPrefix: (versionDir) => path.join(versionDir, 'installation')
+  },
+  asdf: {
+    name: 'asdf',
+    getRoots: () => [path.join(process.env.ASDF_DATA_DIR || path.join(os.homedir(), '.asdf'), 'installs', 'nodejs')],
+    getPrefix: (versionDir) => versionDir
+  },
+  volta: {
+    name: 'Volta',
+    getRoots: () => [path.join(process.env.VOLTA_HOME || path.join(os.homedir(), '.volta'), 'tools', 'image', 'node')],
+    getPrefix: (versionDir) => versionDir
+  }
+};
+
+/**
+ * Node.js installs managed by nvm, fnm, asdf and Volta
+ */
+class NodeInstallations {
+  /**
+   * [{ managerId, managerName, nodeVersion, prefix, binDir }] for every Node version found
+   */
+  static list() {
+    const installs = [];
+    const seen = new Set();
+
+    for (const [managerId, manager] of Object.entries(VERSION_MANAGERS)) {
+      for (const root of manager.getRoots().filter(Boolean)) {
+        for (const entry of NodeInstallations.listDirs(root).filter(name => NODE_VERSION_DIR.test(name))) {
+          const prefix = manager.getPrefix(path.join(root, entry));
+          const binDir = NodeInstallations.getBinDir(prefix);
+          if (seen.has(binDir) || !fs.existsSync(binDir)) continue;
+
+          seen.add(binDir);
+          installs.push({
+            managerId,
+            managerName: manager.name,
+            nodeVersion: entry.replace(/^v/, ''),
+            prefix,
+            binDir
+          });
+        }
+      }
+    }
+
+    return installs;
+  }
+
+  /**
+   * Volta installs each global package into a prefix of its own rather than into a Node version
+   */
+  static getVoltaPackagePrefix(npmPackage) {
+    const voltaHome = process.env.VOLTA_HOME || path.join(os.homedir(), '.volta');
+    const prefix = path.join(voltaHome, 'tools', 'image', 'packages', npmPackage);
+    return fs.existsSync(prefix) ? prefix : null;
+  }
+
+  static getBinDir(prefix) {
+    return isWindows ? prefix : path.join(prefix, 'bin');
+  }
+
+  static findByBinDir(binDir, installs = NodeInstallations.list()) {
+    return installs.find(install => install.binDir === binDir) || null;
+  }
+
+  /**
+   * "nvm 20.11.0"-style label for the install a bin directory belongs to, or null
+   */
+  static describeBinDir(binDir, installs = NodeInstallations.list()) {
+    const install = NodeInstallations.findByBinDir(binDir, installs);
+    return install ? NodeInstallations.describe(install) : null;
+  }
+
+  static describe(install) {
+    return `${install.managerName} ${install.nodeVersion}`;
+  }
+
+  /**
+   * The install a "nodeVersions.primary" setting refers to: "<manager>@<version range>"
+   * (the newest matching version, e.g. "nvm@20") or the path of a Node prefix. Null if none matches.
+   */
+  static findPrimary(spec, installs = NodeInstallations.list()) {
+    if (NodeInstallations.isPathSpec(spec)) {
+      const dir = path.resolve(spec.replace(/^~(?=$|[\\/])/, os.homedir()));
+      return installs.find(install => install.prefix === dir || install.binDir === dir) || null;
+    }
+
+    const [managerId, range] = spec.split('@');
+    return installs
+      .filter(install => install.managerId === managerId.toLowerCase())
+      .filter(install => semver.satisfies(install.nodeVersion, range || '*'))
+      .sort((a, b) => semver.rcompare(a.nodeVersion, b.nodeVersion))[0] || null;
+  }
+
+  /**
+   * Checks a "nodeVersions.primary" value; returns a problem description or null
+   */
+  static validatePrimary(spec) {
+    if (typeof spec !== 'string' || !spec) return 'must be "<manager>@<version>" or the path of a Node install';
+    if (NodeInstallations.isPathSpec(spec)) return null;
+
+    const [managerId, range, ...rest] = spec.split('@');
+    if (!VERSION_MANAGERS[managerId.toLowerCase()] || rest.length > 0) {
+      return `must start with one of: ${Object.keys(VERSION_MANAGERS).join(', ')} (e.g. "nvm@20")`;
+    }
+    return range === undefined || semver.validRange(range) ? null : `has an invalid version range "${range}"`;
+  }
+
+  static isPathSpec(spec) {
+    return path.isAbsolute(spec) || spec.startsWith('~');
+  }
+
+  static listDirs(dir) {
+    try {
+      return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name);
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+module.exports = NodeInstallations;
@@ -1,11 +1,21 @@
-const { execSync } = require('child_process');
+const Shell = require('./shell');
 
 class NotificationManager {
-  constructor(isDryRun = false) {
+  constructor(isDryRun = false, { enabled = true } = {}) {
     this.isDryRun = isDryRun;
+    this.enabled = enabled;
   }
 
+  /**
+   * Shows a dialog and returns the clicked button, or null when notifications
+   * are disabled (updateSettings.notifyOnUpdate) or the dialog failed
+   */
   async sendNative(title, message, buttons = ['OK']) {
+    if (!this.enabled) {
+      console.log(`[Notification disabled] ${title}: ${message}`);
+      return null;
+    }
+
     try {
       if (this.isDryRun) {
         console.log(`DRY RUN: Would send notification: ${title} - ${message}`);
@@ -18,16 +28,11 @@ class NotificationManager {
         return buttons[0];
       }
 
-      const buttonList = buttons.map(b => `"${b}"`).join(', ');
-      const escapedMessage = message.replace(/"/g, '\\"').replace(/'/g, "'\\''");
-      const escapedTitle = title.replace(/"/g, '\\"');
-      
-      const script = `display dialog "${escapedMessage}" with title "${escapedTitle}" buttons {${buttonList}} default button "${buttons[buttons.length - 1]}" with icon note`;
+      const buttonList = buttons.map(b => this.quote(b)).join(', ');
+      const script = `display dialog ${this.quote(message)} with title ${this.quote(title)} buttons {${buttonList}} default button ${this.quote(buttons[buttons.length - 1])} with icon note`;
 
-      const result = execSync(`osascript -e '${script}'`, {
-        encoding: 'utf8',
-        stdio: ['ignore', 'pipe', 'ignore']
-      });
+      // No timeout: the dialog stays until a button is clicked
+      const result = await Shell.run(['osascript', '-e', script], { timeout: 0 });
 
       const match = result.match(/button returned:(.+)$/);
       return match ? match[1].trim() : buttons[0];
@@ -38,6 +43,8 @@ class NotificationManager {
   }
 
   async showSimple(title, message) {
+    if (!this.enabled) return;
+
     if (this.isDryRun) {
       console.log(`DRY RUN: Simple notification: ${title} - ${message}`);
       return;
@@ -45,16 +52,20 @@ class NotificationManager {
 
     if (process.platform === 'darwin') {
       try {
-        const escapedMessage = message.replace(/"/g, '\\"');
-        const escapedTitle = title.replace(/"/g, '\\"');
-        execSync(`osascript -e 'display notification "${escapedMessage}" with title "${escapedTitle}"'`, {
-          stdio: 'ignore'
-        });
+        await Shell.run(['osascript', '-e', `display notification ${this.quote(message)} with title ${this.quote(title)}`]);
       } catch (error) {
         // Silently fail
       }
     }
   }
+
+  /**
+   * An AppleScript string literal; osascript gets the script as one argument, so only
+   * AppleScript's own quoting matters
+   */
+  quote(text) {
+    return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
 }
 
 module.exports = NotificationManager;
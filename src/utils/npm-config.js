@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const Paths = require('./paths');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+
+/**
+ * The parts of npm's configuration version lookups need: registries (including
+ * "@scope:registry"), per-registry credentials, proxies and TLS settings. Read from
+ * npm_config_* variables, the user .npmrc and the global npmrc, in that order of precedence.
+ */
+class NpmConfig {
+  constructor(env = process.env) {
+    this.env = env;
+    this.values = null;
+  }
+
+  load() {
+    if (this.values) return this.values;
+
+    const files = [this.getGlobalConfigPath(), this.getUserConfigPath()];
+    this.values = {};
+    for (const file of files) {
+      Object.assign(this.values, this.readFile(file));
+    }
+    Object.assign(this.values, this.readEnv());
+    return this.values;
+  }
+
+  get(key) {
+    return this.load()[key];
+  }
+
+  getUserConfigPath() {
+    return this.findEnv('userconfig') || path.join(Paths.getHomeDir(), '.npmrc');
+  }
+
+  /**
+   * <prefix>/etc/npmrc, the prefix defaulting to the one of the running Node like npm's
+   */
+  getGlobalConfigPath() {
+    const globalConfig = this.findEnv('globalconfig');
+    if (globalConfig) return globalConfig;
+
+    const prefix = this.findEnv('prefix')
+      || (process.platform === 'win32' ? path.dirname(process.execPath) : path.dirname(path.dirname(process.execPath)));
+    return path.join(prefix, 'etc', 'npmrc');
+  }
+
+  /**
+   * npm_config_<key> in any case, "_" standing for "-" after the first character
+   */
+  readEnv() {
+    const values = {};
+    for (const [name, value] of Object.entries(this.env)) {
+      const match = name.match(/^npm_config_(.+)$/i);
+      if (match && value !== '') {
+        values[match[1].replace(/(?!^)_/g, '-').toLowerCase()] = this.parseValue(value);
+      }
+    }
+    return values;
+  }
+
+  findEnv(key) {
+    return this.readEnv()[key] || null;
+  }
+
+  readFile(file) {
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      return {};
+    }
+    return this.parse(content);
+  }
+
+  /**
+   * npmrc ini syntax: "key = value" lines, ";" and "#" comments, "key[] = value" lists and
+   * ${VAR} references to environment variables
+   */
+  parse(content) {
+    const values = {};
+    for (const line of content.split(/\r?\n/)) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith(';') || trimmed.startsWith('#')) continue;
+
+      const separator = trimmed.indexOf('=');
+      if (separator <= 0) continue;
+
+      const key = this.expand(trimmed.slice(0, separator).trim());
+      const value = this.parseValue(this.expand(trimmed.slice(separator + 1).trim()));
+      if (key.endsWith('[]')) {
+        const list = key.slice(0, -2);
+        values[list] = [...(Array.isArray(values[list]) ? values[list] : []), value];
+      } else {
+        values[key] = value;
+      }
+    }
+    return values;
+  }
+
+  parseValue(value) {
+    const unquoted = value.replace(/^(["'])(.*)\1$/, '$2');
+    if (unquoted === 'true') return true;
+    if (unquoted === 'false') return false;
+    if (unquoted === 'null') return null;
+    return unquoted;
+  }
+
+  expand(value) {
+    return value.replace(/(\\*)\$\{([^}]+)\}/g, (match, escapes, name) =>
+      escapes.length % 2 === 1 ? match.slice(1) : `${escapes}${this.env[name] || ''}`);
+  }
+
+  /**
+   * Registry URL (with trailing slash) a package is installed from
+   */
+  getRegistry(npmPackage = '') {
+    const scope = npmPackage.startsWith('@') ? npmPackage.split('/')[0] : null;
+    const registry = (scope && this.get(`${scope}:registry`)) || this.get('registry') || DEFAULT_REGISTRY;
+    return registry.endsWith('/') ? registry : `${registry}/`;
+  }
+
+  /**
+   * Registry URL of a package's metadata, optionally of a version or dist-tag
+   */
+  getPackageUrl(npmPackage, version = null) {
+    const name = npmPackage.replace('/', '%2f');
+    return `${this.getRegistry(npmPackage)}${name}${version ? `/${encodeURIComponent(version)}` : ''}`;
+  }
+
+  /**
+   * Authorization header for a registry URL from the credentials npm keeps under the
+   * registry's "//host/path/:" prefix, the longest matching path winning
+   */
+  getAuthHeaders(url) {
+    const { host, pathname } = new URL(url);
+    let dir = pathname.slice(0, pathname.lastIndexOf('/') + 1);
+
+    while (dir) {
+      const prefix = `//${host}${dir}:`;
+      const token = this.get(`${prefix}_authToken`);
+      const auth = this.get(`${prefix}_auth`);
+      const username = this.get(`${prefix}username`);
+      const password = this.get(`${prefix}_password`);
+
+      if (token) return { Authorization: `Bearer ${token}` };
+      if (auth) return { Authorization: `Basic ${auth}` };
+      if (username && password) {
+        const decoded = Buffer.from(password, 'base64').toString('utf8');
+        return { Authorization: `Basic ${Buffer.from(`${username}:${decoded}`).toString('base64')}` };
+      }
+
+      dir = dir === '/' ? '' : dir.slice(0, dir.slice(0, -1).lastIndexOf('/') + 1);
+    }
+
+    // Legacy top-level credentials belong to the default registry only
+    if (url.startsWith(this.getRegistry())) {
+      if (this.get('_authToken')) return { Authorization: `Bearer ${this.get('_authToken')}` };
+      if (this.get('_auth')) return { Authorization: `Basic ${this.get('_auth')}` };
+    }
+    return {};
+  }
+
+  /**
+   * Proxy and TLS settings for HttpClient.configure(); npm's own defaults fall back to
+   * HTTPS_PROXY, HTTP_PROXY and NO_PROXY
+   */
+  getNetworkOptions() {
+    const env = (name) => this.env[name] || this.env[name.toLowerCase()] || null;
+    const httpProxy = this.get('proxy') || env('HTTP_PROXY');
+    const httpsProxy = this.get('https-proxy') || env('HTTPS_PROXY') || httpProxy;
+    const noProxy = this.get('noproxy') || env('NO_PROXY') || '';
+
+    let ca = this.get('ca') || null;
+    const cafile = this.get('cafile');
+    if (cafile) {
+      try {
+        ca = fs.readFileSync(cafile, 'utf8');
+      } catch (error) {
+        throw new Error(`Could not read npm cafile ${cafile}: ${error.message}`);
+      }
+    }
+
+    return {
+      httpProxy: httpProxy || null,
+      httpsProxy: httpsProxy || null,
+      noProxy: (Array.isArray(noProxy) ? noProxy : String(noProxy).split(',')).map(entry => entry.trim()).filter(Boolean),
+      strictSSL: this.get('strict-ssl') !== false,
+      ca
+    };
+  }
+}
+
+module.exports = NpmConfig;
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const ConfigManager = require('./config');
+const ErrorHandler = require('./error-handler');
+const HttpClient = require('./http-client');
+const LookupCache = require('./lookup-cache');
+const Logger = require('./logger');
+const NpmConfig = require('./npm-config');
+
+const logger = new Logger('Verify');
+
+const MODES = ['off', 'warn', 'block'];
+const INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall'];
+
+/**
+ * Looks at an npm package version before it is installed globally: the tarball must match
+ * dist.integrity (SHA-512) and, when the registry publishes signing keys, dist.signatures;
+ * it must be older than minimumAge and keep the provenance attestation of the installed
+ * version (or have one at all with requireProvenance). Install scripts and maintainers that
+ * differ from the installed version are flagged too. Checks whose data the registry does
+ * not provide are skipped, except the age, which cannot be assumed.
+ *
+ * verify() resolves to { checks, findings, skipped }: the names of the checks that passed,
+ * a sentence per problem and a sentence per check that could not run. Whether findings
+ * only warn or block the install is up to the caller.
+ */
+class PackageVerifier {
+  constructor({ mode = 'warn', minimumAge = '24h', requireProvenance = false } = {}, npmConfig = new NpmConfig()) {
+    if (!MODES.includes(mode)) throw new Error(`Unknown package check mode: ${mode}`);
+    this.mode = mode;
+    this.minimumAge = minimumAge;
+    this.minimumAgeMs = ConfigManager.parseDuration(minimumAge) || 0;
+    this.requireProvenance = requireProvenance;
+    this.npmConfig = npmConfig;
+    this.errors = new ErrorHandler();
+  }
+
+  isEnabled() {
+    return this.mode !== 'off';
+  }
+
+  isBlocking() {
+    return this.mode === 'block';
+  }
+
+  /**
+   * Checks npmPackage@version; installedVersion is the baseline for provenance, install
+   * scripts and maintainers, or null for a new install
+   */
+  async verify(npmPackage, version, installedVersion = null) {
+    let packument;
+    try {
+      packument = await this.fetchPackument(npmPackage);
+    } catch (error) {
+      return { checks: [], findings: [`its registry metadata could not be read: ${this.errors.getUserMessage(error)}`], skipped: [] };
+    }
+
+    const manifest = packument.versions?.[version];
+    if (!manifest) {
+      return { checks: [], findings: [`v${version} is not in the registry metadata of ${npmPackage}`], skipped: [] };
+    }
+    const installed = installedVersion && installedVersion !== version
+      ? packument.versions[installedVersion] || null
+      : null;
+    const publishedAt = Date.parse(packument.time?.[version]) || null;
+
+    const results = [
+      await this.checkIntegrity(manifest),
+      await this.checkSignature(npmPackage, manifest, publishedAt),
+      this.checkProvenance(manifest, installed),
+      this.checkAge(publishedAt),
+      ...this.compareWithInstalled(manifest, installed, installedVersion)
+    ].filter(Boolean);
+
+    const collect = field => results.filter(result => result[field]).map(result => result[field]);
+    return { checks: collect('check'), findings: collect('finding'), skipped: collect('skipped') };
+  }
+
+  /**
+   * Full metadata of every version plus the publish times ("time"), which the abbreviated
+   * install metadata leaves out
+   */
+  async fetchPackument(npmPackage) {
+    const url = this.npmConfig.getPackageUrl(npmPackage);
+    const response = await HttpClient.fetch(url, {
+      headers: { 'Accept': 'application/json', 'User-Agent': 'ai-code-updater/2.0.0', ...this.npmConfig.getAuthHeaders(url) },
+      timeout: 30000
+    });
+    if (!response.ok) {
+      const error = new Error(`Registry request failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  }
+
+  async checkIntegrity(manifest) {
+    const { integrity, tarball } = manifest.dist || {};
+    const expected = (integrity || '').split(/\s+/).find(hash => hash.startsWith('sha512-'));
+    if (!expected || !tarball) return { finding: 'the registry publishes no SHA-512 integrity for it' };
+
+    let buffer;
+    try {
+      const response = await HttpClient.fetch(tarball, {
+        headers: { 'User-Agent': 'ai-code-updater/2.0.0', ...this.npmConfig.getAuthHeaders(tarball) },
+        timeout: 120000
+      });
+      if (!response.ok) throw new Error(`Tarball download failed: ${response.status}`);
+      buffer = await response.buffer();
+    } catch (error) {
+      return { finding: `its tarball could not be downloaded: ${this.errors.getUserMessage(error)}` };
+    }
+
+    const digest = `sha512-${crypto.createHash('sha512').update(buffer).digest('base64')}`;
+    return digest === expected
+      ? { check: 'SHA-512 integrity' }
+      : { finding: 'its tarball does not match the SHA-512 integrity in the registry metadata' };
+  }
+
+  /**
+   * ECDSA signatures the registry made over "<name>@<version>:<integrity>", verified with
+   * the keys from <registry>/-/npm/v1/keys like `npm audit signatures`. Skipped for
+   * registries without keys, which includes most mirrors.
+   */
+  async checkSignature(npmPackage, manifest, publishedAt) {
+    const registry = this.npmConfig.getRegistry(npmPackage);
+    let keys;
+    try {
+      keys = await this.getRegistryKeys(registry);
+    } catch (error) {
+      return { skipped: `its registry signature was not checked: the signing keys of ${registry} could not be read (${this.errors.getUserMessage(error)})` };
+    }
+    if (keys.length === 0) return { skipped: `its registry signature was not checked: ${registry} publishes no signing keys` };
+
+    const signatures = manifest.dist?.signatures || [];
+    if (signatures.length === 0) return { finding: 'it has no registry signature' };
+
+    const data = Buffer.from(`${manifest.name}@${manifest.version}:${manifest.dist.integrity}`);
+    const valid = signatures.some(({ keyid, sig }) => {
+      const key = keys.find(candidate => candidate.keyid === keyid);
+      if (!key || (key.expires && publishedAt && Date.parse(key.expires) < publishedAt)) return false;
+      try {
+        return crypto.verify('sha256', data, { key: Buffer.from(key.key, 'base64'), format: 'der', type: 'spki' }, Buffer.from(sig, 'base64'));
+      } catch (error) {
+        return false;
+      }
+    });
+    return valid ? { check: 'registry signature' } : { finding: 'its registry signature does not verify' };
+  }
+
+  /**
+   * The registry's signing keys; empty when it publishes none (a 404, as on most mirrors)
+   */
+  async getRegistryKeys(registry) {
+    const url = `${registry}-/npm/v1/keys`;
+    try {
+      const { value } = await LookupCache.fetchJson(`npm-keys:${registry}`, `The signing keys of ${registry}`, url, {
+        headers: { 'Accept': 'application/json', 'User-Agent': 'ai-code-updater/2.0.0', ...this.npmConfig.getAuthHeaders(url) },
+        pick: data => data.keys || []
+      });
+      return value;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      logger.debug(`No signing keys from ${registry}`);
+      return [];
+    }
+  }
+
+  /**
+   * Only the presence of the attestation is checked; its Sigstore bundle is not verified
+   */
+  checkProvenance(manifest, installed) {
+    const hasProvenance = m => Boolean(m?.dist?.attestations?.provenance);
+    if (hasProvenance(manifest)) return { check: 'provenance attestation' };
+    if (hasProvenance(installed)) return { finding: `it has no provenance attestation although v${installed.version} had one` };
+    if (this.requireProvenance) return { finding: 'it has no provenance attestation' };
+    return null;
+  }
+
+  checkAge(publishedAt) {
+    if (!this.minimumAgeMs) return null;
+    if (!publishedAt) return { finding: 'the registry does not say when it was published' };
+
+    const published = `published ${LookupCache.formatAge(publishedAt)}`;
+    return Date.now() - publishedAt >= this.minimumAgeMs
+      ? { check: published }
+      : { finding: `it was ${published}, within the minimum age of ${this.minimumAge}` };
+  }
+
+  /**
+   * Install script and maintainer checks against the installed version, or why they
+   * cannot run. Reinstalling the installed version has nothing to compare.
+   */
+  compareWithInstalled(manifest, installed, installedVersion) {
+    if (installed) return [this.checkInstallScripts(manifest, installed), this.checkMaintainers(manifest, installed)];
+    if (installedVersion === manifest.version) return [];
+
+    const reason = installedVersion
+      ? `v${installedVersion} is not in the registry metadata`
+      : 'nothing is installed to compare with';
+    return [{ skipped: `install scripts and maintainers were not compared: ${reason}` }];
+  }
+
+  checkInstallScripts(manifest, installed) {
+    const changed = INSTALL_SCRIPTS.filter(name => manifest.scripts?.[name] && manifest.scripts[name] !== installed.scripts?.[name]);
+    if (changed.length === 0) return { check: 'install scripts unchanged' };
+
+    return {
+      finding: changed.map(name => `${installed.scripts?.[name] ? 'its changed' : 'a new'} ${name} script runs "${manifest.scripts[name]}"`).join('; ')
+    };
+  }
+
+  checkMaintainers(manifest, installed) {
+    const before = this.getMaintainers(installed);
+    const after = this.getMaintainers(manifest);
+    if (!before || !after) {
+      return { skipped: 'maintainers were not compared: the registry does not list them' };
+    }
+
+    const added = after.filter(name => !before.includes(name));
+    const removed = before.filter(name => !after.includes(name));
+    if (added.length === 0 && removed.length === 0) return { check: 'maintainers unchanged' };
+
+    const changes = [
+      added.length > 0 && `added ${added.join(', ')}`,
+      removed.length > 0 && `removed ${removed.join(', ')}`
+    ].filter(Boolean);
+    return { finding: `its maintainers changed since v${installed.version}: ${changes.join('; ')}` };
+  }
+
+  /**
+   * Maintainer names of a version, or null when the registry does not list them;
+   * entries are { name, email } objects or "name <email>" strings
+   */
+  getMaintainers(manifest) {
+    if (!Array.isArray(manifest?.maintainers) || manifest.maintainers.length === 0) return null;
+    return manifest.maintainers
+      .map(maintainer => (typeof maintainer === 'string' ? maintainer.split(/\s+</)[0] : maintainer?.name))
+      .filter(Boolean);
+  }
+}
+
+module.exports = PackageVerifier;
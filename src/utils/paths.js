@@ -0,0 +1,55 @@
+const os = require('os');
+const path = require('path');
+
+const APP_NAME = 'ai-code-updater';
+
+/**
+ * Per-user directories, following XDG on Linux/macOS and APPDATA on Windows
+ */
+class Paths {
+  static getHomeDir() {
+    return process.env.HOME || process.env.USERPROFILE || os.homedir();
+  }
+
+  static getConfigDir() {
+    if (process.platform === 'win32' && process.env.APPDATA) {
+      return path.join(process.env.APPDATA, APP_NAME);
+    }
+    const base = process.env.XDG_CONFIG_HOME || path.join(Paths.getHomeDir(), '.config');
+    return path.join(base, APP_NAME);
+  }
+
+  static getStateDir() {
+    if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+      return path.join(process.env.LOCALAPPDATA, APP_NAME);
+    }
+    const base = process.env.XDG_STATE_HOME || path.join(Paths.getHomeDir(), '.local', 'state');
+    return path.join(base, APP_NAME);
+  }
+
+  static getCacheDir() {
+    if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+      return path.join(process.env.LOCALAPPDATA, APP_NAME, 'cache');
+    }
+    const base = process.env.XDG_CACHE_HOME || path.join(Paths.getHomeDir(), '.cache');
+    return path.join(base, APP_NAME);
+  }
+
+  static getVsixCacheDir() {
+    return path.join(Paths.getCacheDir(), 'vsix');
+  }
+
+  static getLookupCachePath() {
+    return path.join(Paths.getCacheDir(), 'lookups.json');
+  }
+
+  static getLogDir() {
+    return path.join(Paths.getStateDir(), 'logs');
+  }
+
+  static getUserConfigPath() {
+    return path.join(Paths.getConfigDir(), 'config.json');
+  }
+}
+
+module.exports = Paths;
@@ -0,0 +1,144 @@
+const readline = require('readline');
+const chalk = require('chalk');
+const Logger = require('./logger');
+
+const SPINNER = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+const FRAME_MS = 100;
+const LABEL_WIDTH = 24;
+
+/**
+ * One line per running check with a spinner and the time it has taken. Without a
+ * terminal (cron, pipes, --silent, --json) each step becomes a plain log line instead.
+ * Log messages printed while the display is live appear above it.
+ */
+class ProgressDisplay {
+  constructor({ live = Boolean(process.stdout.isTTY) && !Logger.silent && !Logger.stderr, logger = new Logger('Progress') } = {}) {
+    this.live = live;
+    this.logger = logger;
+    this.tasks = new Map();
+    this.renderedLines = 0;
+    this.frame = 0;
+    this.timer = null;
+  }
+
+  start(id, label, detail = '') {
+    this.tasks.set(id, { label, detail, state: 'running', startedAt: Date.now(), endedAt: null });
+
+    if (!this.live) {
+      this.logger.info(`${label}: ${detail || 'checking'}...`);
+      return;
+    }
+
+    if (!this.timer) {
+      Logger.setWriter(line => this.print(line));
+      this.timer = setInterval(() => this.render(), FRAME_MS);
+    }
+    this.render();
+  }
+
+  /**
+   * Changes the text shown next to a running task
+   */
+  update(id, detail) {
+    const task = this.tasks.get(id);
+    if (!task) return;
+
+    task.detail = detail;
+    if (this.live) {
+      this.render();
+    } else {
+      this.logger.info(`${task.label}: ${detail}...`);
+    }
+  }
+
+  succeed(id, detail = '') {
+    this.finish(id, 'done', detail);
+  }
+
+  fail(id, detail = '') {
+    this.finish(id, 'failed', detail);
+  }
+
+  finish(id, state, detail) {
+    const task = this.tasks.get(id);
+    if (!task || task.state !== 'running') return;
+
+    Object.assign(task, { state, detail, endedAt: Date.now() });
+    if (this.live) {
+      this.render();
+      return;
+    }
+
+    const message = `${task.label}: ${detail || state} (${this.formatElapsed(task)})`;
+    if (state === 'failed') {
+      this.logger.warn(message);
+    } else {
+      this.logger.success(message);
+    }
+  }
+
+  /**
+   * Stops the spinner; "keep" leaves the final task lines on screen, otherwise they are erased
+   */
+  stop({ keep = true } = {}) {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    if (keep) {
+      this.render();
+    } else {
+      this.clear();
+    }
+    this.renderedLines = 0;
+    Logger.setWriter(null);
+  }
+
+  print(line) {
+    this.clear();
+    console.log(line);
+    this.render();
+  }
+
+  clear() {
+    if (this.renderedLines === 0) return;
+
+    readline.moveCursor(process.stdout, 0, -this.renderedLines);
+    readline.clearScreenDown(process.stdout);
+    this.renderedLines = 0;
+  }
+
+  render() {
+    this.clear();
+    this.frame = (this.frame + 1) % SPINNER.length;
+
+    const lines = [...this.tasks.values()].map(task => this.formatTask(task));
+    if (lines.length > 0) {
+      process.stdout.write(lines.join('\n') + '\n');
+    }
+    this.renderedLines = lines.length;
+  }
+
+  formatTask(task) {
+    const icons = {
+      running: chalk.cyan(SPINNER[this.frame]),
+      done: chalk.green('✓'),
+      failed: chalk.red('✗')
+    };
+    const label = task.label.length > LABEL_WIDTH ? `${task.label.slice(0, LABEL_WIDTH - 1)}…` : task.label.padEnd(LABEL_WIDTH);
+    const elapsed = this.formatElapsed(task).padStart(6);
+
+    // Lines must not wrap, or clear() would miss part of the display
+    const room = (process.stdout.columns || 80) - LABEL_WIDTH - elapsed.length - 7;
+    const detail = task.detail.length > room ? `${task.detail.slice(0, Math.max(room - 1, 0))}…` : task.detail;
+    const color = task.state === 'failed' ? chalk.red : task.state === 'running' ? chalk.gray : chalk.white;
+
+    return `  ${icons[task.state]} ${label} ${chalk.gray(elapsed)} ${color(detail)}`;
+  }
+
+  formatElapsed(task) {
+    return `${(((task.endedAt || Date.now()) - task.startedAt) / 1000).toFixed(1)}s`;
+  }
+}
+
+module.exports = ProgressDisplay;
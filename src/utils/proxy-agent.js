@@ -0,0 +1,42 @@
+const http = require('http');
+const net = require('net');
+const tls = require('tls');
+const TunnelAgent = require('./tunnel-agent');
+
+/**
+ * HTTP agent for plain http:// targets behind an HTTP or HTTPS proxy: every request goes
+ * to the proxy with the target's absolute URI as its path ("GET http://host/path"), the
+ * form proxies expect for HTTP
+ */
+class ProxyAgent extends http.Agent {
+  constructor(proxy, { tlsOptions = {} } = {}) {
+    super({ keepAlive: true });
+    this.proxy = new URL(proxy);
+    this.tlsOptions = tlsOptions;
+  }
+
+  /**
+   * Runs before the request line is written, so the path can still become absolute
+   */
+  addRequest(request, options) {
+    const host = options.host.includes(':') ? `[${options.host}]` : options.host;
+    const port = options.port && Number(options.port) !== 80 ? `:${options.port}` : '';
+    request.path = `http://${host}${port}${request.path}`;
+
+    const authorization = TunnelAgent.getProxyAuthorization(this.proxy);
+    if (authorization) request.setHeader('Proxy-Authorization', authorization);
+    super.addRequest(request, options);
+  }
+
+  createConnection() {
+    const proxyIsSecure = this.proxy.protocol === 'https:';
+    const host = this.proxy.hostname;
+    const port = Number(this.proxy.port) || (proxyIsSecure ? 443 : 80);
+
+    return proxyIsSecure
+      ? tls.connect({ ...this.tlsOptions, host, port, servername: host })
+      : net.connect({ host, port });
+  }
+}
+
+module.exports = ProxyAgent;
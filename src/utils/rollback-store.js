@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const Logger = require('./logger');
+
+// Updates remembered per tool (and per IDE for extensions)
+const MAX_ENTRIES = 10;
+
+/**
+ * Remembers the version each update replaced, in <state dir>/rollback.json:
+ *   { "claude-code": [{ "from": "1.0.2", "to": "1.0.3", "at": "..." }], "augment@cursor": [...] }
+ */
+class RollbackStore {
+  constructor(stateDir, isDryRun = false) {
+    this.filePath = path.join(stateDir, 'rollback.json');
+    this.isDryRun = isDryRun;
+    this.logger = new Logger('Rollback');
+  }
+
+  getKey(toolId, ideId = null) {
+    return ideId ? `${toolId}@${ideId}` : toolId;
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Ignoring unreadable ${this.filePath}: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  save(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(state, null, 2) + '\n');
+  }
+
+  /**
+   * Records a successful update; versions that are unknown or unchanged are not rollback targets
+   */
+  recordUpdate(toolId, ideId, from, to) {
+    if (this.isDryRun || !semver.valid(from) || from === to) return;
+
+    const key = this.getKey(toolId, ideId);
+    try {
+      const state = this.load();
+      state[key] = [...(state[key] || []), { from, to, at: new Date().toISOString() }].slice(-MAX_ENTRIES);
+      this.save(state);
+    } catch (error) {
+      this.logger.warn(`Could not record previous version of ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * The most recent update of a tool, or null when none was recorded
+   */
+  getLastUpdate(toolId, ideId = null) {
+    const entries = this.load()[this.getKey(toolId, ideId)] || [];
+    return entries[entries.length - 1] || null;
+  }
+
+  /**
+   * Forgets the most recent update once it has been rolled back, so the next rollback
+   * goes one step further back instead of undoing this one
+   */
+  removeLastUpdate(toolId, ideId = null) {
+    if (this.isDryRun) return;
+
+    const key = this.getKey(toolId, ideId);
+    try {
+      const state = this.load();
+      if (!state[key]?.length) return;
+
+      state[key].pop();
+      if (state[key].length === 0) delete state[key];
+      this.save(state);
+    } catch (error) {
+      this.logger.warn(`Could not forget the rolled-back update of ${key}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RollbackStore;
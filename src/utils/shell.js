@@ -0,0 +1,140 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const Logger = require('./logger');
+const Which = require('./which');
+
+const logger = new Logger('Shell');
+
+// Characters cmd.exe interprets even inside quotes, escaped with ^ (see prepare())
+const CMD_META_CHARS = /([()\][%!^"`<>&|;, *?])/g;
+
+class ProcessError extends Error {
+  constructor(message, { command, code = 'EPROCESS', exitCode = null, signal = null, stdout = '', stderr = '', retryable }) {
+    super(message);
+    this.name = 'ProcessError';
+    this.code = code;
+    this.command = command;
+    this.exitCode = exitCode;
+    this.signal = signal;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    if (retryable !== undefined) this.retryable = retryable;
+  }
+}
+
+/**
+ * Runs programs without a shell and without blocking the event loop, so checks can run
+ * side by side. Commands are arrays of the program and its arguments, which reach it
+ * unchanged whatever they contain; package names, paths and messages from config files or
+ * registries are never parsed by a shell.
+ */
+class Shell {
+  /**
+   * Resolves with stdout. Rejects with a ProcessError on a non-zero exit ("exitCode"), a
+   * timeout (code ETIMEDOUT, "signal") or a program that cannot be started (ENOENT,
+   * EACCES); whatever was printed is kept as error.stdout and error.stderr. A timeout is
+   * not retryable: a command that hung once would hang again. Output passed
+   * through with stdio (e.g. Logger.getChildStdio()) is not captured. A timeout of 0 waits
+   * for as long as it takes.
+   */
+  static run(command, { timeout = 15000, env = process.env, stdio = ['ignore', 'pipe', 'pipe'] } = {}) {
+    const started = Date.now();
+    const display = Shell.format(command);
+    const { file, args, options } = Shell.prepare(command);
+
+    return new Promise((resolve, reject) => {
+      const stdout = [];
+      const stderr = [];
+      let timedOut = false;
+      let settled = false;
+      let timer = null;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        logger.debug(`${display} → ${error ? `failed (${error.exitCode ?? error.signal ?? error.code})` : 'ok'} in ${Date.now() - started}ms`);
+        if (error) reject(error);
+        else resolve(Buffer.concat(stdout).toString('utf8'));
+      };
+      const fail = (message, details) => finish(new ProcessError(message, {
+        command: display,
+        stdout: Buffer.concat(stdout).toString('utf8'),
+        stderr: Buffer.concat(stderr).toString('utf8'),
+        ...details
+      }));
+
+      let child;
+      try {
+        child = spawn(file, args, { env, stdio, windowsHide: true, ...options });
+      } catch (error) {
+        fail(`Could not run ${display}: ${error.message}`, { code: error.code || 'EPROCESS' });
+        return;
+      }
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          child.kill();
+        }, timeout);
+      }
+
+      child.stdout?.on('data', chunk => stdout.push(chunk));
+      child.stderr?.on('data', chunk => stderr.push(chunk));
+      child.on('error', error => fail(`Could not run ${display}: ${error.message}`, { code: error.code || 'EPROCESS' }));
+      child.on('close', (exitCode, signal) => {
+        if (timedOut) {
+          fail(`${display} timed out after ${timeout / 1000}s`, { code: 'ETIMEDOUT', signal, retryable: false });
+        } else if (signal) {
+          fail(`${display} was killed by ${signal}`, { signal });
+        } else if (exitCode !== 0) {
+          const output = Buffer.concat(stderr).toString('utf8').trim().split('\n').pop();
+          fail(`${display} exited with code ${exitCode}${output ? `: ${output}` : ''}`, { exitCode });
+        } else {
+          finish(null);
+        }
+      });
+    });
+  }
+
+  /**
+   * What to spawn for a command. Windows cannot start .cmd and .bat files such as npm.cmd
+   * directly, so those go through cmd.exe with every argument quoted and its metacharacters
+   * escaped, the way cross-spawn does it.
+   */
+  static prepare([program, ...args]) {
+    if (process.platform !== 'win32') return { file: program, args, options: {} };
+
+    const file = path.isAbsolute(program) ? program : Which.find(program) || program;
+    if (!/\.(cmd|bat)$/i.test(file)) return { file, args, options: {} };
+
+    const line = [
+      path.normalize(file).replace(CMD_META_CHARS, '^$1'),
+      ...args.map(arg => Shell.quoteForCmd(arg))
+    ].join(' ');
+    return {
+      file: process.env.ComSpec || 'cmd.exe',
+      args: ['/d', '/s', '/c', `"${line}"`],
+      options: { windowsVerbatimArguments: true }
+    };
+  }
+
+  static quoteForCmd(arg) {
+    const quoted = String(arg)
+      .replace(/(\\*)"/g, '$1$1\\"')
+      .replace(/(\\*)$/, '$1$1');
+    return `"${quoted}"`.replace(CMD_META_CHARS, '^$1');
+  }
+
+  /**
+   * A command as one line for logs and dry runs; arguments with spaces or quotes are quoted
+   */
+  static format(command) {
+    return command
+      .map(arg => (/^[\w@%+=:,./~-]+$/.test(arg) ? arg : `"${String(arg).replace(/(["\\$`])/g, '\\$1')}"`))
+      .join(' ');
+  }
+}
+
+module.exports = Shell;
+module.exports.ProcessError = ProcessError;
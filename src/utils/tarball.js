@@ -0,0 +1,58 @@
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Minimal reader for npm package tarballs (.tgz). Only regular files are returned;
+ * pax/GNU extension headers are skipped, which is fine for the short paths npm uses.
+ */
+class Tarball {
+  constructor(gzipped) {
+    this.data = zlib.gunzipSync(gzipped);
+  }
+
+  /**
+   * Yields { name, content } for every regular file in the archive
+   */
+  * entries() {
+    let offset = 0;
+
+    while (offset + BLOCK_SIZE <= this.data.length) {
+      const header = this.data.subarray(offset, offset + BLOCK_SIZE);
+      if (header.every(byte => byte === 0)) break;
+
+      const name = this.readString(header, 0, 100);
+      const size = parseInt(this.readString(header, 124, 12).trim() || '0', 8);
+      const type = String.fromCharCode(header[156]);
+      const prefix = this.readString(header, 345, 155);
+      const start = offset + BLOCK_SIZE;
+
+      if (type === '0' || type === '\0') {
+        yield {
+          name: prefix ? `${prefix}/${name}` : name,
+          content: this.data.subarray(start, start + size)
+        };
+      }
+
+      offset = start + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+    }
+  }
+
+  /**
+   * Content of the first file whose path matches, or null
+   */
+  findFile(matches) {
+    for (const entry of this.entries()) {
+      if (matches(entry.name)) return entry.content;
+    }
+    return null;
+  }
+
+  readString(buffer, start, length) {
+    const field = buffer.subarray(start, start + length);
+    const end = field.indexOf(0);
+    return field.subarray(0, end === -1 ? length : end).toString('utf8');
+  }
+}
+
+module.exports = Tarball;
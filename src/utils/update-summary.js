@@ -0,0 +1,113 @@
+const chalk = require('chalk');
+
+class UpdateSummary {
+  constructor({ extensionTools = [], showCLIs = true } = {}) {
+    this.extensionTools = extensionTools;
+    this.showCLIs = showCLIs;
+    this.startTime = Date.now();
+    this.extensions = [];
+    this.clis = [];
+  }
+
+  /**
+   * Records the outcome for one IDE target of an extension update;
+   * entry.tool is the extension tool's id, entry.ide the IDE's
+   */
+  addExtension(entry) {
+    this.extensions.push({ durationMs: 0, ...entry });
+  }
+
+  /**
+   * Records the outcome for one CLI tool; entry.tool is its id
+   */
+  addCLI(entry) {
+    this.clis.push({ durationMs: 0, ...entry });
+  }
+
+  getEntries() {
+    return [...this.extensions, ...this.clis];
+  }
+
+  getTotals() {
+    const entries = this.getEntries();
+    return {
+      updated: entries.filter(e => e.status === 'updated').length,
+      current: entries.filter(e => e.status === 'current' || e.status === 'skipped' || e.status === 'missing').length,
+      failed: entries.filter(e => e.status === 'failed').length
+    };
+  }
+
+  /**
+   * 0 when everything succeeded, 1 when at least one update failed
+   */
+  getExitCode() {
+    return this.getTotals().failed > 0 ? 1 : 0;
+  }
+
+  formatDuration(ms) {
+    if (ms < 1000) return `${ms}ms`;
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+
+  formatEntry(entry, versionPrefix = '') {
+    const label = entry.icon ? `${entry.icon} ${entry.name}` : entry.name;
+    const v = (version) => `${versionPrefix}${version}`;
+    const took = entry.durationMs ? chalk.gray(` (${this.formatDuration(entry.durationMs)})`) : '';
+
+    switch (entry.status) {
+      case 'updated':
+        return `${chalk.green('✓')} ${label}: ${entry.from ? v(entry.from) : 'not installed'} → ${v(entry.to)}${took}`;
+      case 'current':
+        return `${chalk.gray('-')} ${label}: Up to date (${v(entry.from)})`;
+      case 'missing':
+        return `${chalk.gray('-')} ${label}: Not installed`;
+      case 'skipped':
+        return `${chalk.gray('-')} ${label}: Skipped${entry.reason ? ` (${entry.reason})` : ''}`;
+      case 'failed':
+      default:
+        return `${chalk.red('✗')} ${label}: Failed${entry.error ? ` - ${entry.error}` : ''}${took}`;
+    }
+  }
+
+  print({ isDryRun = false } = {}) {
+    const totals = this.getTotals();
+
+    console.log('\n' + chalk.cyan.bold('📋 UPDATE SUMMARY'));
+    console.log(chalk.gray('═'.repeat(60)));
+    if (isDryRun) {
+      console.log(chalk.yellow('DRY RUN - no changes were made'));
+    }
+    console.log(`Completed in ${this.formatDuration(Date.now() - this.startTime)}`);
+
+    for (const tool of this.extensionTools) {
+      const entries = this.extensions.filter(entry => entry.tool === tool.id);
+      console.log(chalk.bold(`\n${tool.icon} ${tool.name} Extension:`));
+      if (entries.length === 0) {
+        console.log(chalk.gray('   No supported IDEs detected'));
+      }
+      entries.forEach(entry => console.log(`   ${this.formatEntry(entry)}`));
+    }
+
+    if (this.showCLIs) {
+      console.log(chalk.bold('\n🖥️  CLI Tools:'));
+      this.clis.forEach(entry => console.log(`   ${this.formatEntry(entry, 'v')}`));
+    }
+
+    console.log(chalk.gray('\n' + '─'.repeat(60)));
+    console.log('Totals:');
+    console.log(`  Updated: ${totals.updated}`);
+    console.log(`  Up to date/Skipped: ${totals.current}`);
+    if (totals.failed > 0) {
+      console.log(chalk.red(`  Failed: ${totals.failed}`));
+    }
+
+    if (this.extensions.some(e => e.status === 'updated')) {
+      console.log(chalk.cyan('\n💡 Tip: Restart your IDE(s) to apply extension updates'));
+    }
+    console.log(chalk.gray('═'.repeat(60)));
+  }
+}
+
+module.exports = UpdateSummary;
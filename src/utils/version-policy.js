@@ -0,0 +1,116 @@
+const semver = require('semver');
+const { ConfigError } = require('./config');
+
+const EXTENSION_CHANNELS = ['stable', 'pre-release'];
+
+/**
+ * Per-tool version policies from the "policies" section of config.json:
+ *   { "pin": "1.0.5" }                     install exactly this version
+ *   { "range": "~1.0.0", "skip": ["1.0.7"] } newest version in range, minus known-bad ones
+ *   { "channel": "next" }                  follow an npm dist-tag, or "pre-release" for extensions
+ */
+class VersionPolicy {
+  constructor(policies = {}, tools = []) {
+    const toolIds = tools.map(tool => tool.id);
+    const issues = [];
+
+    for (const [id, policy] of Object.entries(policies)) {
+      const tool = tools.find(t => t.id === id);
+      if (!tool) {
+        issues.push(`"policies.${id}" refers to an unknown tool (known: ${toolIds.join(', ')})`);
+      } else if (tool.kind === 'extension' && policy.channel && !EXTENSION_CHANNELS.includes(policy.channel)) {
+        issues.push(`"policies.${id}.channel" must be one of: ${EXTENSION_CHANNELS.join(', ')} (got "${policy.channel}")`);
+      }
+    }
+
+    if (issues.length > 0) {
+      throw new ConfigError('Invalid version policies in configuration:', issues);
+    }
+
+    this.policies = policies;
+  }
+
+  getPolicy(toolId) {
+    return this.policies[toolId] || null;
+  }
+
+  has(toolId) {
+    return Boolean(this.getPolicy(toolId));
+  }
+
+  /**
+   * Whether the policy restricts versions (as opposed to only choosing a channel)
+   */
+  hasConstraints(toolId) {
+    const policy = this.getPolicy(toolId);
+    return Boolean(policy && (policy.pin || policy.range || policy.skip?.length));
+  }
+
+  /**
+   * "stable" unless the tool follows another channel
+   */
+  getChannel(toolId) {
+    return this.getPolicy(toolId)?.channel || 'stable';
+  }
+
+  describe(toolId) {
+    const policy = this.getPolicy(toolId);
+    if (!policy) return null;
+
+    const parts = [];
+    if (policy.channel && policy.channel !== 'stable') parts.push(`${policy.channel} channel`);
+    if (policy.pin) parts.push(`pinned to ${policy.pin}`);
+    if (policy.range) parts.push(`range ${policy.range}`);
+    if (policy.skip?.length) parts.push(`skipping ${policy.skip.join(', ')}`);
+    return parts.join(', ');
+  }
+
+  isAllowed(toolId, version) {
+    const policy = this.getPolicy(toolId);
+    if (!policy) return true;
+    if (!semver.valid(version)) return false;
+    if (policy.skip?.includes(version)) return false;
+    if (policy.pin) return semver.eq(version, policy.pin);
+    if (policy.range) {
+      return semver.satisfies(version, policy.range, { includePrerelease: this.getChannel(toolId) !== 'stable' });
+    }
+    return true;
+  }
+
+  /**
+   * Newest of the published versions the policy allows, or null when none is allowed.
+   * A pin ignores channels; otherwise prereleases are only considered off the stable
+   * channel, and nothing newer than the channel's current release ("ceiling") is picked.
+   */
+  selectVersion(toolId, versions, ceiling = null) {
+    if (this.getPolicy(toolId)?.pin) {
+      return versions.find(version => this.isAllowed(toolId, version)) || null;
+    }
+
+    const stableOnly = this.getChannel(toolId) === 'stable';
+    const allowed = versions
+      .filter(version => this.isAllowed(toolId, version))
+      .filter(version => !stableOnly || !semver.prerelease(version))
+      .filter(version => !semver.valid(ceiling) || semver.lte(version, ceiling))
+      .sort(semver.rcompare);
+
+    return allowed[0] || null;
+  }
+
+  /**
+   * A pinned tool is updated (or downgraded) to the pin whenever it differs; otherwise
+   * only a newer allowed version counts as an update. Prereleases sort before their
+   * release, so 1.2.0-next.3 → 1.2.0 is an update and 1.2.0 → 1.2.0-next.3 is not.
+   */
+  needsUpdate(toolId, installedVersion, targetVersion) {
+    if (!targetVersion) return false;
+    if (!semver.valid(installedVersion)) return true;
+
+    if (this.getPolicy(toolId)?.pin) {
+      return semver.neq(targetVersion, installedVersion);
+    }
+    return semver.gt(targetVersion, installedVersion);
+  }
+}
+
+module.exports = VersionPolicy;
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const ZipArchive = require('./zip-archive');
+
+class VsixError extends Error {
+  constructor(message, { retryable = false } = {}) {
+    super(message);
+    this.name = 'VsixError';
+    this.code = 'EVSIX';
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Checks a VSIX before it is installed: a readable ZIP with extension.vsixmanifest and an
+ * extension/package.json naming the requested publisher, name and version, and, when the
+ * gallery publishes one, the same SHA-256 digest and size. Damaged downloads throw a
+ * retryable VsixError, a different extension or version a fatal one.
+ */
+class VsixVerifier {
+  /**
+   * integrity is what a source's getIntegrity() returned: { sha256 (hex), size, source } or null.
+   * Returns the names of the checks that passed.
+   */
+  verify(buffer, { extensionId, version, integrity = null }) {
+    const checks = [];
+
+    if (integrity) {
+      if (integrity.size && buffer.length !== integrity.size) {
+        throw new VsixError(`${extensionId}@${version} has ${buffer.length} bytes, ${integrity.source} says ${integrity.size}`, { retryable: true });
+      }
+      const digest = crypto.createHash('sha256').update(buffer).digest('hex');
+      if (digest !== integrity.sha256.toLowerCase()) {
+        throw new VsixError(`${extensionId}@${version} does not match the SHA-256 digest from ${integrity.source}`, { retryable: true });
+      }
+      checks.push(`SHA-256 from ${integrity.source}`);
+    }
+
+    const manifest = this.readManifest(buffer, `${extensionId}@${version}`);
+    const found = `${manifest.publisher}.${manifest.name}`;
+    if (found.toLowerCase() !== extensionId.toLowerCase()) {
+      throw new VsixError(`Expected ${extensionId} but the VSIX contains ${found}`);
+    }
+    if (manifest.version !== version) {
+      throw new VsixError(`Expected ${extensionId}@${version} but the VSIX contains version ${manifest.version}`);
+    }
+    checks.push('package identity');
+
+    return checks;
+  }
+
+  /**
+   * extension/package.json of a VSIX
+   */
+  readManifest(buffer, label = 'VSIX') {
+    let packageJson;
+    try {
+      const archive = new ZipArchive(buffer);
+      if (!archive.has('extension.vsixmanifest')) throw new Error('extension.vsixmanifest is missing');
+      packageJson = archive.readFile('extension/package.json');
+      if (!packageJson) throw new Error('extension/package.json is missing');
+    } catch (error) {
+      throw new VsixError(`${label} is not a valid VSIX: ${error.message}`, { retryable: true });
+    }
+
+    try {
+      return JSON.parse(packageJson.toString('utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new VsixError(`${label} has an unreadable extension/package.json: ${error.message}`);
+    }
+  }
+}
+
+module.exports = VsixVerifier;
+module.exports.VsixError = VsixError;
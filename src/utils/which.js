@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Resolves commands on PATH the way the shell does, without spawning one
+ */
+class Which {
+  static getExtensions() {
+    if (process.platform !== 'win32') return [''];
+    return ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT;.COM').toLowerCase().split(';')];
+  }
+
+  /**
+   * Every executable named `command` on PATH, in PATH order, without duplicates
+   */
+  static findAll(command, searchPath = process.env.PATH || '') {
+    const found = [];
+
+    for (const dir of searchPath.split(path.delimiter).filter(Boolean)) {
+      for (const extension of Which.getExtensions()) {
+        const candidate = path.join(dir, command + extension);
+        if (!found.includes(candidate) && Which.isExecutable(candidate)) {
+          found.push(candidate);
+        }
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * The executable the shell would run for `command`, or null
+   */
+  static find(command, searchPath) {
+    return Which.findAll(command, searchPath)[0] || null;
+  }
+
+  static isExecutable(filePath) {
+    try {
+      if (!fs.statSync(filePath).isFile()) return false;
+      if (process.platform !== 'win32') fs.accessSync(filePath, fs.constants.X_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Follows symlinks (npm/pnpm/brew shims) to the real file; returns the input if that fails
+   */
+  static resolve(filePath) {
+    try {
+      return fs.realpathSync(filePath);
+    } catch (error) {
+      return filePath;
+    }
+  }
+}
+
+module.exports = Which;
@@ -0,0 +1,129 @@
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const ZIP64_LOCATOR = 0x07064b50;
+// Values the classic records hold when the real one is in a ZIP64 record
+const ZIP64_MARKER_16 = 0xffff;
+const ZIP64_MARKER_32 = 0xffffffff;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+let crcTable = null;
+
+/**
+ * Minimal reader for ZIP archives such as VSIX files: the central directory is read up
+ * front, so a truncated or non-ZIP file fails in the constructor. ZIP64 is not supported,
+ * which is fine for archives below 4 GB; such archives are rejected rather than misread.
+ */
+class ZipArchive {
+  constructor(buffer) {
+    this.data = buffer;
+    this.files = this.readCentralDirectory();
+  }
+
+  readCentralDirectory() {
+    const end = this.findEndOfCentralDirectory();
+    const count = this.data.readUInt16LE(end + 10);
+    const size = this.data.readUInt32LE(end + 12);
+    let offset = this.data.readUInt32LE(end + 16);
+    if (this.isZip64(end, count, size, offset)) throw new Error('ZIP64 archives are not supported');
+    if (offset + size > end) throw new Error('central directory lies outside the archive');
+
+    const files = new Map();
+    for (let i = 0; i < count; i++) {
+      if (this.data.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+        throw new Error(`damaged central directory entry ${i + 1} of ${count}`);
+      }
+      const nameLength = this.data.readUInt16LE(offset + 28);
+      const name = this.data.toString('utf8', offset + 46, offset + 46 + nameLength);
+      const file = {
+        method: this.data.readUInt16LE(offset + 10),
+        crc: this.data.readUInt32LE(offset + 16),
+        compressedSize: this.data.readUInt32LE(offset + 20),
+        size: this.data.readUInt32LE(offset + 24),
+        headerOffset: this.data.readUInt32LE(offset + 42)
+      };
+      if ([file.compressedSize, file.size, file.headerOffset].includes(ZIP64_MARKER_32)) {
+        throw new Error(`${name} needs ZIP64, which is not supported`);
+      }
+      files.set(name, file);
+      offset += 46 + nameLength + this.data.readUInt16LE(offset + 30) + this.data.readUInt16LE(offset + 32);
+    }
+    return files;
+  }
+
+  /**
+   * ZIP64 archives put a locator right before the end record and mark the fields it
+   * replaces with all ones
+   */
+  isZip64(end, count, size, offset) {
+    if (end >= 20 && this.data.readUInt32LE(end - 20) === ZIP64_LOCATOR) return true;
+    return count === ZIP64_MARKER_16 || size === ZIP64_MARKER_32 || offset === ZIP64_MARKER_32;
+  }
+
+  /**
+   * The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+   */
+  findEndOfCentralDirectory() {
+    const stop = Math.max(0, this.data.length - 22 - 0xffff);
+    for (let offset = this.data.length - 22; offset >= stop; offset--) {
+      if (this.data.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new Error('not a ZIP archive (no end of central directory record)');
+  }
+
+  getNames() {
+    return [...this.files.keys()];
+  }
+
+  has(name) {
+    return this.files.has(name);
+  }
+
+  /**
+   * Content of a file, checked against its CRC-32, or null when the archive has no such file
+   */
+  readFile(name) {
+    const file = this.files.get(name);
+    if (!file) return null;
+
+    const header = file.headerOffset;
+    if (this.data.readUInt32LE(header) !== LOCAL_FILE_HEADER) throw new Error(`damaged local header of ${name}`);
+    const start = header + 30 + this.data.readUInt16LE(header + 26) + this.data.readUInt16LE(header + 28);
+    const raw = this.data.subarray(start, start + file.compressedSize);
+    if (raw.length !== file.compressedSize) throw new Error(`${name} is truncated`);
+
+    let content;
+    if (file.method === METHOD_STORED) {
+      content = raw;
+    } else if (file.method === METHOD_DEFLATED) {
+      content = zlib.inflateRawSync(raw);
+    } else {
+      throw new Error(`${name} uses unsupported compression method ${file.method}`);
+    }
+
+    if (content.length !== file.size || ZipArchive.crc32(content) !== file.crc) {
+      throw new Error(`${name} is corrupt (size or CRC-32 mismatch)`);
+    }
+    return content;
+  }
+
+  static crc32(buffer) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+module.exports = ZipArchive;
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ArgParser = require('../src/utils/args');
+const ToolRegistry = require('../src/managers/tool-registry');
+
+const parser = new ArgParser();
+const registry = new ToolRegistry();
+
+function select(argv) {
+  return parser.selectTools(parser.parse(argv), registry);
+}
+
+test('parses a command, tools and flags', () => {
+  const options = parser.parse(['update', 'claude,Gemini', 'augment', '--dry-run', '-q']);
+
+  assert.equal(options.command, 'update');
+  assert.deepEqual(options.tools, ['claude', 'gemini', 'augment']);
+  assert.equal(options.dryRun, true);
+  assert.equal(options.quiet, true);
+});
+
+test('treats --auto without a command as update', () => {
+  assert.equal(parser.parse(['--auto']).command, 'update');
+  assert.equal(parser.parse(['status', '--auto']).command, 'status');
+});
+
+test('reads list and value options with a space or an equals sign', () => {
+  const options = parser.parse(['--only=claude,codex', '--skip', 'augment', '--config', '/tmp/acu.json']);
+
+  assert.deepEqual(options.only, ['claude', 'codex']);
+  assert.deepEqual(options.skip, ['augment']);
+  assert.equal(options.configPath, '/tmp/acu.json');
+});
+
+test('rejects unknown commands and options and missing values', () => {
+  assert.throws(() => parser.parse(['upgrade']), /Unknown command: upgrade/);
+  assert.throws(() => parser.parse(['--force']), /Unknown option: --force/);
+  assert.throws(() => parser.parse(['--only']), /Option --only requires a comma-separated list of tool ids/);
+  assert.throws(() => parser.parse(['--only', '--dry-run']), /Option --only requires/);
+  assert.throws(() => parser.parse(['--config']), /Option --config requires a value/);
+});
+
+test('rejects options outside the commands they belong to', () => {
+  assert.throws(() => parser.parse(['update', '--to', '1.0.0']), /--to can only be used with the rollback command/);
+  assert.throws(() => parser.parse(['status', '--since', '7d']), /--since can only be used with the history command/);
+  assert.throws(() => parser.parse(['doctor', '--json']), /--json can only be used with the status or update command/);
+  assert.throws(() => parser.parse(['status', '--yes']), /--yes can only be used with the cleanup command/);
+  assert.throws(() => parser.parse(['update', '--offline']), /--offline cannot be used with the update command/);
+});
+
+test('rejects options that contradict each other', () => {
+  assert.throws(() => parser.parse(['--verbose', '--silent']), /--verbose and --silent cannot be combined/);
+  assert.throws(() => parser.parse(['status', '--offline', '--refresh']), /--offline and --refresh cannot be combined/);
+});
+
+test('requires one tool and a valid version for rollback', () => {
+  assert.equal(parser.parse(['rollback', 'claude', '--to', '1.0.5']).toVersion, '1.0.5');
+  assert.throws(() => parser.parse(['rollback']), /Usage: acu rollback <tool>/);
+  assert.throws(() => parser.parse(['rollback', 'claude', 'codex']), /Usage: acu rollback <tool>/);
+  assert.throws(() => parser.parse(['rollback', 'claude', '--to', 'latest']), /--to expects a version such as 1\.2\.3 \(got latest\)/);
+});
+
+test('reads --since as a duration or a date', () => {
+  const week = 7 * 24 * 60 * 60 * 1000;
+  const before = Date.now();
+  const since = parser.parse(['history', '--since', '7d']).since;
+
+  assert.ok(since >= before - week && since <= Date.now() - week);
+  assert.equal(parser.parse(['history', '--since', '2025-06-01']).since, Date.parse('2025-06-01'));
+  assert.throws(() => parser.parse(['history', '--since', 'last week']), /--since expects a duration such as 7d/);
+});
+
+test('selects all tools by default and resolves aliases', () => {
+  assert.deepEqual(select([]), registry.getToolIds());
+  assert.deepEqual(select(['status', 'claude', 'codex']), ['claude-code', 'openai-codex']);
+});
+
+test('applies --only and --skip after the positional tools', () => {
+  assert.deepEqual(select(['--only', 'claude,gemini']), ['claude-code', 'gemini-cli']);
+  assert.deepEqual(select(['--skip', 'augment']), registry.getToolIds().filter(id => id !== 'augment'));
+  assert.deepEqual(select(['status', 'claude', 'codex', '--skip', 'codex']), ['claude-code']);
+  assert.deepEqual(select(['status', 'claude', '--only', 'codex']), []);
+});
+
+test('rejects tool names that are neither ids nor aliases', () => {
+  assert.throws(() => select(['status', 'cursor']), /Unknown tool: cursor \(expected one of: augment, claude-code/);
+  assert.throws(() => select(['--skip', 'claud']), /Unknown tool: claud/);
+});
+
+test('requires rollback to keep its tool after --only and --skip', () => {
+  assert.deepEqual(select(['rollback', 'augment']), ['augment']);
+  assert.throws(() => select(['rollback', 'augment', '--skip', 'augment']), /Usage: acu rollback <tool>/);
+  assert.throws(() => select(['rollback', 'claude', '--only', 'augment']), /Usage: acu rollback <tool>/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../src/utils/config');
+const { ConfigError } = require('../src/utils/config');
+
+const IDE_IDS = ['cursor', 'vscode', 'antigravity'];
+
+/**
+ * Loads the bundled config with a user file holding the given content: an object is
+ * written as JSON, a string as it is, and null writes no file at all
+ */
+function load(userConfig) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'acu-config-'));
+  const userConfigPath = path.join(dir, 'config.json');
+  if (userConfig !== null) {
+    fs.writeFileSync(userConfigPath, typeof userConfig === 'string' ? userConfig : JSON.stringify(userConfig));
+  }
+  try {
+    return new ConfigManager({ ideIds: IDE_IDS, userConfigPath }).load();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function assertIssues(userConfig, ...patterns) {
+  assert.throws(() => load(userConfig), (error) => {
+    assert.ok(error instanceof ConfigError);
+    assert.equal(error.code, 'ECONFIG');
+    assert.equal(error.issues.length, patterns.length, error.message);
+    patterns.forEach((pattern, i) => assert.match(error.issues[i], pattern));
+    return true;
+  });
+}
+
+test('loads the bundled defaults without a user file', () => {
+  const config = load(null);
+
+  assert.equal(config.idePreferences.installInAllIDEs, false);
+  assert.equal(config.idePreferences.preferredIDE, 'auto');
+  assert.equal(config.logging.level, 'info');
+});
+
+test('merges the user file over the defaults', () => {
+  const config = load({ idePreferences: { priority: ['vscode', 'cursor'] }, logging: { level: 'debug' } });
+
+  assert.deepEqual(config.idePreferences.priority, ['vscode', 'cursor']);
+  assert.equal(config.idePreferences.preferredIDE, 'auto');
+  assert.equal(config.logging.level, 'debug');
+  assert.equal(config.logging.saveToFile, load(null).logging.saveToFile);
+});
+
+test('reports every invalid setting at once', () => {
+  assertIssues(
+    { idePreferences: { priority: ['zed'], installInAllIDEs: 'yes' }, updateSettings: { concurrency: 0 } },
+    /^"idePreferences\.priority" must be an array of IDE ids \(cursor, vscode, antigravity\) \(got \["zed"\]\)$/,
+    /^"idePreferences\.installInAllIDEs" must be true or false \(got "yes"\)$/,
+    /^"updateSettings\.concurrency" must be a positive integer \(got 0\)$/
+  );
+});
+
+test('rejects unknown sections and settings', () => {
+  assertIssues({ loggin: {}, logging: { colour: true } }, /^Unknown setting "loggin"$/, /^Unknown setting "logging\.colour"$/);
+});
+
+test('rejects sections that are not objects', () => {
+  assertIssues({ logging: 'debug' }, /^"logging" must be an object$/);
+});
+
+test('checks durations', () => {
+  assert.equal(ConfigManager.parseDuration('30m'), 30 * 60 * 1000);
+  assert.equal(ConfigManager.parseDuration('1D'), 24 * 60 * 60 * 1000);
+  assert.equal(ConfigManager.parseDuration('1w'), null);
+  assertIssues({ updateSettings: { checkInterval: '1 week' } }, /^"updateSettings\.checkInterval" must be a duration/);
+});
+
+test('checks version policies', () => {
+  assert.equal(load({ policies: { 'claude-code': { range: '~1.0.0', skip: ['1.0.7'], channel: 'next' } } }).policies['claude-code'].range, '~1.0.0');
+  assertIssues({ policies: { 'claude-code': { pin: '1.0.0', range: '1.x' } } }, /^"policies" must map tool ids to/);
+  assertIssues({ policies: { 'claude-code': { pin: 'latest' } } }, /^"policies" must map tool ids to/);
+  assertIssues({ policies: { 'claude-code': { skip: '1.0.7' } } }, /^"policies" must map tool ids to/);
+});
+
+test('checks references between settings in the merged config', () => {
+  assertIssues({ idePreferences: { galleries: { cursor: 'internal' } } },
+    /^"idePreferences\.galleries\.cursor" refers to unknown gallery "internal" \(known: marketplace, open-vsx\)$/);
+  assertIssues({ nodeVersions: { update: 'primary' } }, /^"nodeVersions\.update" is "primary" but "nodeVersions\.primary" is not set$/);
+});
+
+test('names the file that cannot be parsed', () => {
+  assert.throws(() => load('{ "logging": '), /^ConfigError: Invalid JSON in config file .*config\.json/);
+  assert.throws(() => load('[]'), /Invalid JSON in config file .*: top level must be an object/);
+});
@@ -0,0 +1,30 @@
+const http = require('http');
+
+/**
+ * A local HTTP server answering fixed routes: { '/path': { status = 200, body } }, where
+ * objects are sent as JSON and buffers as they are; anything else is a 404. Resolves
+ * with its base URL (trailing slash) and close().
+ */
+function startRegistry(routes) {
+  const server = http.createServer((request, response) => {
+    const route = routes[decodeURIComponent(request.url)];
+    if (!route) {
+      response.writeHead(404, { 'Content-Type': 'application/json' });
+      response.end('{"error":"Not found"}');
+      return;
+    }
+
+    const isBuffer = Buffer.isBuffer(route.body);
+    response.writeHead(route.status || 200, { 'Content-Type': isBuffer ? 'application/octet-stream' : 'application/json' });
+    response.end(isBuffer ? route.body : JSON.stringify(route.body));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/`,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+module.exports = { startRegistry };
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const ZipArchive = require('../../src/utils/zip-archive');
+
+/**
+ * Builds a ZIP archive in memory from { name: content }; entries are deflated unless
+ * store is set. zip64 writes the ZIP64 end record and locator that archives above 4 GB
+ * or 65535 entries use, with the classic end record's fields marked as all ones.
+ */
+function createZip(files, { store = false, zip64 = false } = {}) {
+  const records = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const compressed = store ? data : zlib.deflateRawSync(data);
+    const method = store ? 0 : 8;
+    const crc = ZipArchive.crc32(data);
+    const fileName = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    records.push(local, fileName, compressed);
+    directory.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(directory);
+  const count = Object.keys(files).length;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(zip64 ? 0xffff : count, 8);
+  end.writeUInt16LE(zip64 ? 0xffff : count, 10);
+  end.writeUInt32LE(zip64 ? 0xffffffff : centralDirectory.length, 12);
+  end.writeUInt32LE(zip64 ? 0xffffffff : offset, 16);
+  if (!zip64) return Buffer.concat([...records, centralDirectory, end]);
+
+  const zip64End = Buffer.alloc(56);
+  zip64End.writeUInt32LE(0x06064b50, 0);
+  zip64End.writeBigUInt64LE(44n, 4);
+  zip64End.writeUInt16LE(45, 12);
+  zip64End.writeUInt16LE(45, 14);
+  zip64End.writeBigUInt64LE(BigInt(count), 24);
+  zip64End.writeBigUInt64LE(BigInt(count), 32);
+  zip64End.writeBigUInt64LE(BigInt(centralDirectory.length), 40);
+  zip64End.writeBigUInt64LE(BigInt(offset), 48);
+
+  const locator = Buffer.alloc(20);
+  locator.writeUInt32LE(0x07064b50, 0);
+  locator.writeBigUInt64LE(BigInt(offset + centralDirectory.length), 8);
+  locator.writeUInt32LE(1, 16);
+
+  return Buffer.concat([...records, centralDirectory, zip64End, locator, end]);
+}
+
+/**
+ * A minimal VSIX: extension.vsixmanifest plus an extension/package.json with the given
+ * publisher, name and version
+ */
+function createVsix({ publisher = 'augment', name = 'vscode-augment', version = '1.2.3' } = {}, files = {}) {
+  return createZip({
+    'extension.vsixmanifest': '<?xml version="1.0" encoding="utf-8"?><PackageManifest Version="2.0.0"/>',
+    'extension/package.json': JSON.stringify({ publisher, name, version }),
+    ...files
+  });
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+module.exports = { createZip, createVsix, sha256 };
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IDEManager = require('../src/managers/ide-manager');
+
+const EXTENSION = 'augment.vscode-augment';
+
+function withExtensionDir(folders, run) {
+  const extensionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'acu-extensions-'));
+  for (const folder of folders) fs.mkdirSync(path.join(extensionDir, folder));
+  return Promise.resolve(run(extensionDir)).finally(() => fs.rmSync(extensionDir, { recursive: true, force: true }));
+}
+
+test('reads the version of a platform-specific build without its target platform', async () => {
+  await withExtensionDir([`${EXTENSION}-0.479.0`, `${EXTENSION}-0.480.0-darwin-arm64`], async (extensionDir) => {
+    assert.equal(await new IDEManager().getExtensionVersionFromDir(extensionDir, EXTENSION), '0.480.0');
+  });
+});
+
+test('keeps the prerelease part of a platform-specific build', async () => {
+  await withExtensionDir([`${EXTENSION}-0.480.0-linux-x64`, `${EXTENSION}-0.481.0-beta.1-alpine-arm64`], async (extensionDir) => {
+    assert.equal(await new IDEManager().getExtensionVersionFromDir(extensionDir, EXTENSION), '0.481.0-beta.1');
+  });
+});
+
+test('ignores folders of other extensions that share the prefix', async () => {
+  await withExtensionDir([`${EXTENSION}-nightly-1.0.0`, `${EXTENSION}-0.1.0`], async (extensionDir) => {
+    assert.equal(await new IDEManager().getExtensionVersionFromDir(extensionDir, EXTENSION), '0.1.0');
+  });
+});
+
+test('strips only known target platforms from folder names', () => {
+  const manager = new IDEManager();
+  const prefix = `${EXTENSION}-`;
+
+  assert.equal(manager.getFolderVersion(`${prefix}1.2.3-win32-x64`, prefix), '1.2.3');
+  assert.equal(manager.getFolderVersion(`${prefix}1.2.3-linux-armhf`, prefix), '1.2.3');
+  assert.equal(manager.getFolderVersion(`${prefix}1.2.3-web`, prefix), '1.2.3');
+  assert.equal(manager.getFolderVersion(`${prefix}1.2.3-rc.1`, prefix), '1.2.3-rc.1');
+});
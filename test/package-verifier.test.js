@@ -0,0 +1,223 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const PackageVerifier = require('../src/utils/package-verifier');
+const NpmConfig = require('../src/utils/npm-config');
+const { startRegistry } = require('./helpers/registry');
+
+const NAME = 'demo-cli';
+const DAY = 24 * 60 * 60 * 1000;
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const KEY = { keyid: 'SHA256:test', key: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'), expires: null };
+
+/**
+ * A registry serving NAME with the given versions: { [version]: { publishedAt, scripts,
+ * maintainers, provenance, signature ('valid', 'invalid' or 'none'), tarball } }. keys
+ * is the keys endpoint's answer: a list, or a number for an error status.
+ */
+async function withRegistry(versions, keys, run) {
+  const routes = {};
+  const packument = { name: NAME, versions: {}, time: {} };
+
+  for (const [version, spec] of Object.entries(versions)) {
+    const tarball = Buffer.from(`${NAME}@${version} tarball`);
+    const integrity = `sha512-${crypto.createHash('sha512').update(tarball).digest('base64')}`;
+    const signed = spec.signature === 'invalid' ? `${NAME}@${version}:sha512-other` : `${NAME}@${version}:${integrity}`;
+    const signatures = spec.signature === 'none'
+      ? []
+      : [{ keyid: KEY.keyid, sig: crypto.sign('sha256', Buffer.from(signed), privateKey).toString('base64') }];
+
+    routes[`/${NAME}/-/${NAME}-${version}.tgz`] = { body: spec.tarball || tarball };
+    packument.versions[version] = {
+      name: NAME,
+      version,
+      scripts: spec.scripts || {},
+      maintainers: spec.maintainers,
+      dist: {
+        integrity: spec.integrity === undefined ? integrity : spec.integrity,
+        tarball: null,
+        signatures,
+        ...(spec.provenance ? { attestations: { provenance: { predicateType: 'https://slsa.dev/provenance/v1' } } } : {})
+      }
+    };
+    if (spec.publishedAt !== null) packument.time[version] = new Date(spec.publishedAt || Date.now() - 7 * DAY).toISOString();
+  }
+  routes[`/${NAME}`] = { body: packument };
+
+  const registry = await startRegistry(routes);
+  for (const manifest of Object.values(packument.versions)) {
+    manifest.dist.tarball = `${registry.url}${NAME}/-/${NAME}-${manifest.version}.tgz`;
+  }
+  if (Array.isArray(keys)) routes['/-/npm/v1/keys'] = { body: { keys } };
+  else if (keys) routes['/-/npm/v1/keys'] = { status: keys, body: {} };
+
+  const npmConfig = new NpmConfig({
+    npm_config_registry: registry.url,
+    npm_config_userconfig: '/nonexistent/.npmrc',
+    npm_config_globalconfig: '/nonexistent/npmrc'
+  });
+  try {
+    return await run(registry, npmConfig);
+  } finally {
+    await registry.close();
+  }
+}
+
+function verify(versions, { keys = [KEY], version = '2.0.0', installed = '1.0.0', options = {} } = {}) {
+  return withRegistry(versions, keys, (registry, npmConfig) =>
+    new PackageVerifier(options, npmConfig).verify(NAME, version, installed));
+}
+
+const MAINTAINERS = [{ name: 'alice', email: 'alice@example.com' }];
+const GOOD = { maintainers: MAINTAINERS, provenance: true };
+
+test('passes every check for a signed, settled version without changes', async () => {
+  const result = await verify({ '1.0.0': GOOD, '2.0.0': GOOD });
+
+  assert.deepEqual(result.findings, []);
+  assert.deepEqual(result.skipped, []);
+  assert.deepEqual(result.checks.filter(check => !check.startsWith('published')), [
+    'SHA-512 integrity', 'registry signature', 'provenance attestation', 'install scripts unchanged', 'maintainers unchanged'
+  ]);
+  assert.ok(result.checks.some(check => check.startsWith('published')));
+});
+
+test('flags a tarball that does not match dist.integrity', async () => {
+  const { findings } = await verify({ '1.0.0': GOOD, '2.0.0': { ...GOOD, tarball: Buffer.from('tampered') } });
+
+  assert.deepEqual(findings, ['its tarball does not match the SHA-512 integrity in the registry metadata']);
+});
+
+test('flags a version without a SHA-512 integrity', async () => {
+  const { findings } = await verify({ '1.0.0': GOOD, '2.0.0': { ...GOOD, integrity: 'sha1-abc' } });
+
+  assert.ok(findings.includes('the registry publishes no SHA-512 integrity for it'));
+});
+
+test('flags a signature that does not verify', async () => {
+  const { findings } = await verify({ '1.0.0': GOOD, '2.0.0': { ...GOOD, signature: 'invalid' } });
+
+  assert.deepEqual(findings, ['its registry signature does not verify']);
+});
+
+test('flags a missing signature when the registry has keys', async () => {
+  const { findings } = await verify({ '1.0.0': GOOD, '2.0.0': { ...GOOD, signature: 'none' } });
+
+  assert.deepEqual(findings, ['it has no registry signature']);
+});
+
+test('does not accept signatures of a key that expired before the release', async () => {
+  const expired = { ...KEY, expires: new Date(Date.now() - 30 * DAY).toISOString() };
+  const { findings } = await verify({ '1.0.0': GOOD, '2.0.0': GOOD }, { keys: [expired] });
+
+  assert.deepEqual(findings, ['its registry signature does not verify']);
+});
+
+test('reports the signature check as skipped when the registry publishes no keys', async () => {
+  const { checks, findings, skipped } = await verify({ '1.0.0': GOOD, '2.0.0': GOOD }, { keys: null });
+
+  assert.deepEqual(findings, []);
+  assert.ok(!checks.includes('registry signature'));
+  assert.equal(skipped.length, 1);
+  assert.match(skipped[0], /^its registry signature was not checked: http:\/\/127\.0\.0\.1:\d+\/ publishes no signing keys$/);
+});
+
+test('reports the signature check as skipped when the keys cannot be read', async () => {
+  const { findings, skipped } = await verify({ '1.0.0': GOOD, '2.0.0': GOOD }, { keys: 403 });
+
+  assert.deepEqual(findings, []);
+  assert.match(skipped[0], /its registry signature was not checked: the signing keys of .* could not be read/);
+});
+
+test('flags versions younger than minimumAge or without a publish time', async () => {
+  const young = await verify({ '1.0.0': GOOD, '2.0.0': { ...GOOD, publishedAt: Date.now() - 60 * 60 * 1000 } });
+  const undated = await verify({ '1.0.0': GOOD, '2.0.0': { ...GOOD, publishedAt: null } });
+
+  assert.equal(young.findings.length, 1);
+  assert.match(young.findings[0], /^it was published .* ago, within the minimum age of 24h$/);
+  assert.deepEqual(undated.findings, ['the registry does not say when it was published']);
+});
+
+test('skips the age check with a minimumAge of 0m', async () => {
+  const { checks, findings } = await verify(
+    { '1.0.0': GOOD, '2.0.0': { ...GOOD, publishedAt: Date.now() } },
+    { options: { minimumAge: '0m' } }
+  );
+
+  assert.deepEqual(findings, []);
+  assert.ok(!checks.some(check => check.startsWith('published')));
+});
+
+test('flags a version that lost the provenance of the installed one', async () => {
+  const { findings } = await verify({ '1.0.0': GOOD, '2.0.0': { ...GOOD, provenance: false } });
+
+  assert.deepEqual(findings, ['it has no provenance attestation although v1.0.0 had one']);
+});
+
+test('flags missing provenance with requireProvenance', async () => {
+  const plain = { maintainers: MAINTAINERS };
+  const lenient = await verify({ '1.0.0': plain, '2.0.0': plain });
+  const strict = await verify({ '1.0.0': plain, '2.0.0': plain }, { options: { requireProvenance: true } });
+
+  assert.deepEqual(lenient.findings, []);
+  assert.deepEqual(strict.findings, ['it has no provenance attestation']);
+});
+
+test('flags new and changed install scripts', async () => {
+  const { findings } = await verify({
+    '1.0.0': { ...GOOD, scripts: { install: 'node build.js' } },
+    '2.0.0': { ...GOOD, scripts: { install: 'node build.js --fast', postinstall: 'node steal.js', test: 'jest' } }
+  });
+
+  assert.deepEqual(findings, ['its changed install script runs "node build.js --fast"; a new postinstall script runs "node steal.js"']);
+});
+
+test('flags added and removed maintainers', async () => {
+  const { findings } = await verify({
+    '1.0.0': { ...GOOD, maintainers: [...MAINTAINERS, 'bob <bob@example.com>'] },
+    '2.0.0': { ...GOOD, maintainers: [...MAINTAINERS, { name: 'mallory', email: 'm@example.com' }] }
+  });
+
+  assert.deepEqual(findings, ['its maintainers changed since v1.0.0: added mallory; removed bob']);
+});
+
+test('reports the maintainer comparison as skipped when the registry does not list them', async () => {
+  const { checks, findings, skipped } = await verify({ '1.0.0': GOOD, '2.0.0': { provenance: true } });
+
+  assert.deepEqual(findings, []);
+  assert.ok(checks.includes('install scripts unchanged'));
+  assert.deepEqual(skipped, ['maintainers were not compared: the registry does not list them']);
+});
+
+test('reports the comparisons as skipped for a new install', async () => {
+  const { skipped } = await verify({ '2.0.0': GOOD }, { installed: null });
+
+  assert.deepEqual(skipped, ['install scripts and maintainers were not compared: nothing is installed to compare with']);
+});
+
+test('reports the comparisons as skipped when the installed version is not in the metadata', async () => {
+  const { skipped } = await verify({ '2.0.0': GOOD }, { installed: '0.9.0' });
+
+  assert.deepEqual(skipped, ['install scripts and maintainers were not compared: v0.9.0 is not in the registry metadata']);
+});
+
+test('flags a version the registry does not have', async () => {
+  const result = await verify({ '1.0.0': GOOD }, { version: '3.0.0' });
+
+  assert.deepEqual(result, { checks: [], findings: [`v3.0.0 is not in the registry metadata of ${NAME}`], skipped: [] });
+});
+
+test('flags a package whose metadata cannot be read', async () => {
+  const result = await withRegistry({}, null, (registry, npmConfig) =>
+    new PackageVerifier({}, npmConfig).verify('missing-package', '1.0.0'));
+
+  assert.equal(result.findings.length, 1);
+  assert.match(result.findings[0], /^its registry metadata could not be read/);
+});
+
+test('knows its modes', () => {
+  assert.equal(new PackageVerifier({ mode: 'off' }).isEnabled(), false);
+  assert.equal(new PackageVerifier({ mode: 'warn' }).isBlocking(), false);
+  assert.equal(new PackageVerifier({ mode: 'block' }).isBlocking(), true);
+  assert.throws(() => new PackageVerifier({ mode: 'strict' }), /Unknown package check mode: strict/);
+});
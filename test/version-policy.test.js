@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const VersionPolicy = require('../src/utils/version-policy');
+const ToolRegistry = require('../src/managers/tool-registry');
+const { ConfigError } = require('../src/utils/config');
+
+const TOOLS = new ToolRegistry().getTools();
+const VERSIONS = ['1.0.0', '1.0.5', '1.0.7', '1.1.0', '2.0.0'];
+
+function policy(policies) {
+  return new VersionPolicy(policies, TOOLS);
+}
+
+test('allows every version of a tool without a policy', () => {
+  const policies = policy({});
+
+  assert.equal(policies.has('claude-code'), false);
+  assert.equal(policies.isAllowed('claude-code', '9.9.9'), true);
+  assert.equal(policies.needsUpdate('claude-code', '1.0.0', '1.0.1'), true);
+  assert.equal(policies.needsUpdate('claude-code', '1.0.1', '1.0.1'), false);
+});
+
+test('selects the pinned version and updates or downgrades to it', () => {
+  const policies = policy({ 'claude-code': { pin: '1.0.5' } });
+
+  assert.equal(policies.hasConstraints('claude-code'), true);
+  assert.equal(policies.isAllowed('claude-code', '1.0.5'), true);
+  assert.equal(policies.isAllowed('claude-code', '2.0.0'), false);
+  assert.equal(policies.selectVersion('claude-code', VERSIONS, '2.0.0'), '1.0.5');
+  assert.equal(policies.needsUpdate('claude-code', '2.0.0', '1.0.5'), true);
+  assert.equal(policies.needsUpdate('claude-code', '1.0.5', '1.0.5'), false);
+});
+
+test('selects the newest version in range, never above the current release', () => {
+  const policies = policy({ 'claude-code': { range: '1.0.x' } });
+
+  assert.equal(policies.selectVersion('claude-code', VERSIONS, '2.0.0'), '1.0.7');
+  assert.equal(policies.selectVersion('claude-code', VERSIONS, '1.0.5'), '1.0.5');
+  assert.equal(policies.isAllowed('claude-code', '1.1.0'), false);
+});
+
+test('does not update past a range to a newer major', () => {
+  const policies = policy({ 'claude-code': { range: '1.0.x' } });
+  const target = policies.selectVersion('claude-code', VERSIONS, '2.0.0');
+
+  assert.equal(policies.needsUpdate('claude-code', '1.0.7', target), false);
+  assert.equal(policies.needsUpdate('claude-code', '1.0.5', target), true);
+});
+
+test('skips known-bad versions, alone or within a range', () => {
+  const skipOnly = policy({ 'claude-code': { skip: ['2.0.0'] } });
+  const inRange = policy({ 'claude-code': { range: '1.0.x', skip: ['1.0.7'] } });
+
+  assert.equal(skipOnly.isAllowed('claude-code', '2.0.0'), false);
+  assert.equal(skipOnly.selectVersion('claude-code', VERSIONS, '2.0.0'), '1.1.0');
+  assert.equal(inRange.selectVersion('claude-code', VERSIONS, '2.0.0'), '1.0.5');
+});
+
+test('selects nothing when no published version is allowed', () => {
+  const policies = policy({ 'claude-code': { range: '3.x' } });
+
+  assert.equal(policies.selectVersion('claude-code', VERSIONS, '2.0.0'), null);
+  assert.equal(policies.needsUpdate('claude-code', '2.0.0', null), false);
+});
+
+test('updates a tool whose installed version cannot be read', () => {
+  assert.equal(policy({}).needsUpdate('claude-code', 'unknown', '1.0.0'), true);
+});
+
+test('describes a policy', () => {
+  const policies = policy({ 'claude-code': { range: '~1.0.0', skip: ['1.0.7', '1.0.8'] }, 'gemini-cli': { pin: '0.1.0' } });
+
+  assert.equal(policies.describe('claude-code'), 'range ~1.0.0, skipping 1.0.7, 1.0.8');
+  assert.equal(policies.describe('gemini-cli'), 'pinned to 0.1.0');
+  assert.equal(policies.describe('openai-codex'), null);
+});
+
+test('follows the stable channel unless another one is set', () => {
+  const policies = policy({ 'claude-code': { channel: 'next' }, 'gemini-cli': { pin: '0.1.0' } });
+
+  assert.equal(policies.getChannel('claude-code'), 'next');
+  assert.equal(policies.getChannel('gemini-cli'), 'stable');
+  assert.equal(policies.hasConstraints('claude-code'), false);
+  assert.equal(policies.describe('claude-code'), 'next channel');
+});
+
+test('compares prereleases with semver rules', () => {
+  const policies = policy({ 'claude-code': { channel: 'next' } });
+
+  assert.equal(policies.needsUpdate('claude-code', '1.2.0-next.2', '1.2.0-next.3'), true);
+  assert.equal(policies.needsUpdate('claude-code', '1.2.0-next.3', '1.2.0'), true);
+  assert.equal(policies.needsUpdate('claude-code', '1.2.0', '1.2.0-next.3'), false);
+  assert.equal(policies.needsUpdate('claude-code', '1.1.0', '1.2.0-next.3'), true);
+});
+
+test('considers prereleases in a range only off the stable channel', () => {
+  const versions = ['1.0.0', '1.0.1', '1.1.0-next.1', '1.1.0-next.2'];
+  const stable = policy({ 'claude-code': { range: '^1.0.0' } });
+  const next = policy({ 'claude-code': { range: '^1.0.0', channel: 'next' } });
+
+  assert.equal(stable.isAllowed('claude-code', '1.1.0-next.2'), false);
+  assert.equal(stable.selectVersion('claude-code', versions, '1.0.1'), '1.0.1');
+  assert.equal(next.isAllowed('claude-code', '1.1.0-next.2'), true);
+  assert.equal(next.selectVersion('claude-code', versions, '1.1.0-next.2'), '1.1.0-next.2');
+  assert.equal(next.selectVersion('claude-code', versions, '1.1.0-next.1'), '1.1.0-next.1');
+});
+
+test('accepts only stable and pre-release as extension channels', () => {
+  assert.equal(policy({ augment: { channel: 'pre-release' } }).getChannel('augment'), 'pre-release');
+  assert.throws(() => policy({ augment: { channel: 'next' } }), /"policies\.augment\.channel" must be one of: stable, pre-release \(got "next"\)/);
+});
+
+test('rejects policies for unknown tools', () => {
+  assert.throws(() => policy({ 'claude-cod': { pin: '1.0.0' } }), (error) => {
+    assert.ok(error instanceof ConfigError);
+    assert.match(error.message, /"policies\.claude-cod" refers to an unknown tool \(known: augment, claude-code/);
+    return true;
+  });
+});
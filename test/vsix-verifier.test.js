@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const VsixVerifier = require('../src/utils/vsix-verifier');
+const { VsixError } = require('../src/utils/vsix-verifier');
+const { createVsix, createZip, sha256 } = require('./helpers/zip');
+
+const verifier = new VsixVerifier();
+const request = { extensionId: 'augment.vscode-augment', version: '1.2.3' };
+
+function assertVsixError(fn, message, retryable) {
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof VsixError);
+    assert.equal(error.code, 'EVSIX');
+    assert.match(error.message, message);
+    assert.equal(error.retryable, retryable);
+    return true;
+  });
+}
+
+test('accepts a VSIX with the requested identity and gallery digest', () => {
+  const vsix = createVsix();
+  const integrity = { sha256: sha256(vsix).toUpperCase(), size: vsix.length, source: 'the test gallery' };
+
+  assert.deepEqual(verifier.verify(vsix, { ...request, integrity }), ['SHA-256 from the test gallery', 'package identity']);
+});
+
+test('checks only the identity when the gallery publishes no digest', () => {
+  assert.deepEqual(verifier.verify(createVsix(), request), ['package identity']);
+});
+
+test('compares the extension id case-insensitively', () => {
+  const vsix = createVsix({ publisher: 'Augment', name: 'VSCode-Augment' });
+
+  assert.deepEqual(verifier.verify(vsix, request), ['package identity']);
+});
+
+test('refuses a VSIX of another publisher', () => {
+  const vsix = createVsix({ publisher: 'someone-else' });
+
+  assertVsixError(() => verifier.verify(vsix, request), /Expected augment\.vscode-augment but the VSIX contains someone-else\.vscode-augment/, false);
+});
+
+test('refuses a VSIX of another extension name', () => {
+  const vsix = createVsix({ name: 'vscode-other' });
+
+  assertVsixError(() => verifier.verify(vsix, request), /the VSIX contains augment\.vscode-other/, false);
+});
+
+test('refuses a VSIX of another version', () => {
+  const vsix = createVsix({ version: '1.2.2' });
+
+  assertVsixError(() => verifier.verify(vsix, request), /contains version 1\.2\.2/, false);
+});
+
+test('treats a digest mismatch as a damaged, retryable download', () => {
+  const vsix = createVsix();
+  const integrity = { sha256: sha256(Buffer.from('something else')), size: null, source: 'the test gallery' };
+
+  assertVsixError(() => verifier.verify(vsix, { ...request, integrity }), /does not match the SHA-256 digest from the test gallery/, true);
+});
+
+test('treats a size mismatch as a damaged, retryable download', () => {
+  const vsix = createVsix();
+  const integrity = { sha256: sha256(vsix), size: vsix.length + 1, source: 'the test gallery' };
+
+  assertVsixError(() => verifier.verify(vsix, { ...request, integrity }), /has \d+ bytes, the test gallery says \d+/, true);
+});
+
+test('treats a truncated download as retryable', () => {
+  const vsix = createVsix();
+
+  assertVsixError(() => verifier.verify(vsix.subarray(0, vsix.length - 30), request), /is not a valid VSIX/, true);
+});
+
+test('requires extension.vsixmanifest and extension/package.json', () => {
+  const withoutManifest = createZip({ 'extension/package.json': '{}' });
+  const withoutPackageJson = createZip({ 'extension.vsixmanifest': '<PackageManifest/>' });
+
+  assertVsixError(() => verifier.verify(withoutManifest, request), /extension\.vsixmanifest is missing/, true);
+  assertVsixError(() => verifier.verify(withoutPackageJson, request), /extension\/package\.json is missing/, true);
+});
+
+test('refuses an unreadable package.json', () => {
+  const vsix = createZip({ 'extension.vsixmanifest': '<PackageManifest/>', 'extension/package.json': '{ not json' });
+
+  assertVsixError(() => verifier.verify(vsix, request), /unreadable extension\/package\.json/, false);
+});
+
+test('reads a package.json that starts with a byte order mark', () => {
+  const vsix = createZip({
+    'extension.vsixmanifest': '<PackageManifest/>',
+    'extension/package.json': `﻿${JSON.stringify({ publisher: 'augment', name: 'vscode-augment', version: '1.2.3' })}`
+  });
+
+  assert.deepEqual(verifier.verify(vsix, request), ['package identity']);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ZipArchive = require('../src/utils/zip-archive');
+const { createZip } = require('./helpers/zip');
+
+const FILES = {
+  'readme.txt': 'hello',
+  'extension/package.json': JSON.stringify({ name: 'demo', description: 'x'.repeat(2000) })
+};
+
+test('reads deflated and stored entries', () => {
+  for (const store of [false, true]) {
+    const archive = new ZipArchive(createZip(FILES, { store }));
+
+    assert.deepEqual(archive.getNames(), Object.keys(FILES));
+    assert.equal(archive.has('readme.txt'), true);
+    assert.equal(archive.readFile('readme.txt').toString(), 'hello');
+    assert.equal(JSON.parse(archive.readFile('extension/package.json')).name, 'demo');
+  }
+});
+
+test('returns null for a file the archive does not have', () => {
+  const archive = new ZipArchive(createZip(FILES));
+
+  assert.equal(archive.has('missing.txt'), false);
+  assert.equal(archive.readFile('missing.txt'), null);
+});
+
+test('rejects data that is not a ZIP archive', () => {
+  assert.throws(() => new ZipArchive(Buffer.from('not a zip archive, just some text')), /no end of central directory record/);
+});
+
+test('rejects an archive cut off before its end record', () => {
+  const zip = createZip(FILES);
+
+  assert.throws(() => new ZipArchive(zip.subarray(0, zip.length - 10)), /no end of central directory record/);
+});
+
+test('rejects a truncated central directory', () => {
+  const zip = createZip(FILES);
+  const endOffset = zip.length - 22;
+  const directoryOffset = zip.readUInt32LE(endOffset + 16);
+  const truncated = Buffer.concat([zip.subarray(0, directoryOffset + 20), zip.subarray(endOffset)]);
+
+  assert.throws(() => new ZipArchive(truncated), /central directory lies outside the archive/);
+});
+
+test('rejects a damaged central directory entry', () => {
+  const zip = Buffer.from(createZip(FILES));
+  const directoryOffset = zip.readUInt32LE(zip.length - 22 + 16);
+  zip.writeUInt32LE(0, directoryOffset);
+
+  assert.throws(() => new ZipArchive(zip), /damaged central directory entry 1 of 2/);
+});
+
+test('detects corrupt file content with the CRC-32', () => {
+  const zip = Buffer.from(createZip({ 'readme.txt': 'hello' }, { store: true }));
+  zip[30 + 'readme.txt'.length] ^= 0xff;
+  const archive = new ZipArchive(zip);
+
+  assert.throws(() => archive.readFile('readme.txt'), /readme\.txt is corrupt/);
+});
+
+test('rejects ZIP64 archives instead of misreading them', () => {
+  assert.throws(() => new ZipArchive(createZip(FILES, { zip64: true })), /ZIP64 archives are not supported/);
+});
+
+test('rejects entries whose sizes live in a ZIP64 extra field', () => {
+  const zip = Buffer.from(createZip({ 'big.bin': 'data' }));
+  const directoryOffset = zip.readUInt32LE(zip.length - 22 + 16);
+  zip.writeUInt32LE(0xffffffff, directoryOffset + 24);
+
+  assert.throws(() => new ZipArchive(zip), /big\.bin needs ZIP64/);
+});
+
+test('computes standard CRC-32 values', () => {
+  assert.equal(ZipArchive.crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(ZipArchive.crc32(Buffer.alloc(0)), 0);
+});